@@ -6,16 +6,100 @@
  * @template {{
  *  request: {
  *    urlEnvVar: String,
- *    headers: Object,
+ *    headers: Object<String, String|Function>,
+ *    introspectionHeaders?: Object,
+ *    tls?: {
+ *      ca?: String|null,
+ *      cert?: String|null,
+ *      key?: String|null,
+ *      insecure?: Boolean,
+ *    },
+ *    proxy?: String|null,
+ *    timeoutMs?: Number,
  *  },
+ *  schema?: String|null,
+ *  schemaCache?: {
+ *    file: String,
+ *    ttl?: Number,
+ *  }|false,
+ *  endpoints?: Object<String, {
+ *    request: {
+ *      urlEnvVar: String,
+ *      headers?: Object<String, String|Function>,
+ *      introspectionHeaders?: Object,
+ *      tls?: Object,
+ *      proxy?: String|null,
+ *      timeoutMs?: Number,
+ *    },
+ *    schema?: String|null,
+ *    schemaCache?: {
+ *      file?: String,
+ *      ttl?: Number,
+ *    }|false,
+ *    operations?: Object,
+ *  }>,
  *  scalarMap?: Object,
  *  idMap?: Object,
  *  sortFields?: Boolean,
+ *  deprecated?: 'include'|'exclude'|'mark',
+ *  outputDepth?: Number,
+ *  operations?: Object<String, {
+ *    outputDepth?: Number,
+ *  }>,
+ *  pagination?: {
+ *    pageSize?: Number,
+ *    arguments?: {
+ *      first?: String,
+ *      after?: String,
+ *      offset?: String,
+ *      limit?: String,
+ *    },
+ *  },
+ *  hooks?: {
+ *    subscribe?: {mutation: String, arguments: Object},
+ *    unsubscribe?: {mutation: String, arguments: Object},
+ *    fallbackQueries?: Object,
+ *  },
+ *  dynamicFields?: Object<String, {
+ *    trigger: String,
+ *    value?: String,
+ *    label?: String,
+ *    search?: String,
+ *  }|false>,
+ *  errors?: {
+ *    codes?: Object<String, String>,
+ *    userErrors?: Array<String>,
+ *  },
+ *  authentication?: {
+ *    testQuery?: String,
+ *    connectionLabel?: String|null,
+ *    apiKeyHeader?: String,
+ *    sessionMutation?: String,
+ *    oauth2?: {
+ *      authorizeUrl?: String,
+ *      accessTokenUrl?: String,
+ *      scope?: String,
+ *    },
+ *  },
  *  sampleFieldValues?: {
+ *    exact?: Object,
  *    startingWith?: Object,
  *    endingWith?: Object,
+ *    rules?: Array<{
+ *      match: RegExp|Function,
+ *      value: *,
+ *    }>,
+ *    scalars?: Object<String, *>,
+ *    generate?: Boolean,
+ *    seed?: String|Number,
+ *  },
+ *  samples?: {
+ *    directory?: String,
+ *    redact?: Array<String>,
+ *    inputData?: Object<String, Object>,
  *  },
  *  testBundle?: Object,
+ *  testMode?: 'live'|'mock'|'record'|'replay',
  * }} Config
  */
 class Config {
@@ -26,12 +110,82 @@ class Config {
       'Accept': 'application/json',
       'Content-Type': 'application/json',
     },
+    introspectionHeaders: {},
+    // Paths of the PEM files, relative to the project root, for introspecting the schema
+    tls: {
+      ca: null,
+      cert: null,
+      key: null,
+      insecure: false,
+    },
+    proxy: null,
+    timeoutMs: 30000,
+  };
+
+
+  pagination = {
+    pageSize: 100,
+    arguments: {
+      first: 'first',
+      after: 'after',
+      offset: 'offset',
+      limit: 'limit',
+    },
+  };
+
+
+  hooks = {
+    subscribe: {
+      mutation: null,
+      arguments: {},
+    },
+    unsubscribe: {
+      mutation: null,
+      arguments: {},
+    },
+    fallbackQueries: {},
+  };
+
+
+  errors = {
+    codes: {
+      UNAUTHENTICATED: 'ExpiredAuthError',
+      FORBIDDEN: 'HaltedError',
+      RATE_LIMITED: 'ThrottledError',
+      TOO_MANY_REQUESTS: 'ThrottledError',
+    },
+    userErrors: ['userErrors'],
+  };
+
+
+  authentication = {
+    testQuery: 'viewer',
+    connectionLabel: null,
+    apiKeyHeader: 'X-API-Key',
+    sessionMutation: 'login',
+    oauth2: {
+      authorizeUrl: null,
+      accessTokenUrl: null,
+      scope: null,
+    },
   };
 
 
   sampleFieldValues = {
+    exact: {},
     startingWith: {},
     endingWith: {},
+    rules: [],
+    scalars: {},
+    generate: true,
+    seed: 'zapier-graphql',
+  };
+
+
+  samples = {
+    directory: 'test/fixtures',
+    redact: ['password', 'secret', 'token', 'apiKey', 'authorization'],
+    inputData: {},
   };
 
   /**
@@ -39,21 +193,98 @@ class Config {
    */
   constructor({
     request,
+    schema = null,
+    schemaCache = {},
+    endpoints = {},
     scalarMap = {},
     idMap = {},
     sortFields = true,
+    deprecated = 'include',
+    outputDepth = 0,
+    operations = {},
+    pagination = {},
+    hooks = {},
+    dynamicFields = {},
+    errors = {},
+    authentication = {},
     sampleFieldValues = {},
+    samples = {},
     testBundle = {},
+    testMode = 'live',
   }) {
+    const defaultRequest = { ...this.request };
+
     this.request.urlEnvVar = request.urlEnvVar;
     this.request.headers = {
       ...this.request.headers,
       ...request.headers,
     }
+    this.request.introspectionHeaders = request.introspectionHeaders ?? {};
+    this.request.tls = { ...this.request.tls, ...request.tls };
+    this.request.proxy = request.proxy ?? null;
+    this.request.timeoutMs = request.timeoutMs ?? this.request.timeoutMs;
+
+    this.schema = schema;
 
+    // The schema cache can be disabled entirely by setting it to false
+    this.schemaCache = schemaCache === false ? false : {
+      file: '.zapiergraphql.schema.json',
+      ttl: 0, // In seconds, 0 never expires
+      ...schemaCache,
+    };
+
+    // Named endpoints are configured like the default one, with their own schema cache file
+    this.endpoints = Object.fromEntries(Object.entries(endpoints).map(([name, endpoint]) => [name, {
+      request: {
+        urlEnvVar: endpoint.request?.urlEnvVar,
+        headers: { ...defaultRequest.headers, ...endpoint.request?.headers },
+        introspectionHeaders: endpoint.request?.introspectionHeaders ?? {},
+        tls: { ...defaultRequest.tls, ...endpoint.request?.tls },
+        proxy: endpoint.request?.proxy ?? null,
+        timeoutMs: endpoint.request?.timeoutMs ?? defaultRequest.timeoutMs,
+      },
+      schema: endpoint.schema ?? null,
+      schemaCache: endpoint.schemaCache === false ? false : {
+        file: `.zapiergraphql.${name}.schema.json`,
+        ttl: 0,
+        ...endpoint.schemaCache,
+      },
+      operations: endpoint.operations ?? {},
+    }]));
     this.scalarMap = scalarMap;
     this.idMap = idMap;
     this.sortFields = sortFields;
+    this.deprecated = deprecated;
+    this.outputDepth = outputDepth;
+    this.operations = operations;
+
+    this.pagination = {
+      ...this.pagination,
+      ...pagination,
+      arguments: {
+        ...this.pagination.arguments,
+        ...pagination.arguments,
+      },
+    };
+
+    this.hooks = {
+      subscribe: { ...this.hooks.subscribe, ...hooks.subscribe },
+      unsubscribe: { ...this.hooks.unsubscribe, ...hooks.unsubscribe },
+      fallbackQueries: { ...this.hooks.fallbackQueries, ...hooks.fallbackQueries },
+    };
+
+    this.dynamicFields = dynamicFields;
+
+    this.errors = {
+      codes: { ...this.errors.codes, ...errors.codes },
+      userErrors: errors.userErrors ?? this.errors.userErrors,
+    };
+
+    this.authentication = {
+      ...this.authentication,
+      ...authentication,
+      oauth2: { ...this.authentication.oauth2, ...authentication.oauth2 },
+    };
 
     this.sampleFieldValues = {
       ...this.sampleFieldValues,
@@ -71,7 +302,13 @@ class Config {
       return acc;
     }, {});
 
+    this.samples = {
+      ...this.samples,
+      ...samples,
+    };
+
     this.testBundle = testBundle;
+    this.testMode = testMode;
   }
 }
 
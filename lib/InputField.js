@@ -9,9 +9,16 @@
  *  label: String,
  *  type?: String|null,
  *  required: Boolean,
+ *  list?: Boolean,
+ *  dynamic?: String,
+ *  search?: String,
  *  helpText?: String|null,
+ *  placeholder?: String,
+ *  default?: String,
  *  choices?: Array<String>,
+ *  altersDynamicFields?: Boolean,
  *  children?: Array<InputField>,
+ *  typeDetails?: import('./TypeDetails')|null,
  * }} InputField
  */
 class InputField {
@@ -25,18 +32,34 @@ class InputField {
     label,
     type,
     required,
+    list,
+    dynamic,
+    search,
     helpText,
+    placeholder,
+    default: defaultValue,
     choices,
+    altersDynamicFields,
     children,
+    typeDetails = null,
   }) {
     this.key = key;
     this.field = field;
     this.label = label;
     this.type = type;
     this.required = required;
+    this.list = list;
+    this.dynamic = dynamic;
+    this.search = search;
     this.helpText = helpText;
+    this.placeholder = placeholder;
+    this.default = defaultValue;
     this.choices = choices;
+    this.altersDynamicFields = altersDynamicFields;
     this.children = children;
+
+    // Not enumerable, so the GraphQL type details aren't output with the field to Zapier
+    Object.defineProperty(this, 'typeDetails', { value: typeDetails, writable: true });
   }
 }
 
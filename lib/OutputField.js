@@ -8,7 +8,16 @@
  *  label: String,
  *  type?: String,
  *  choices?: Array<String>|undefined,
+ *  list?: Boolean,
+ *  important?: Boolean,
+ *  helpText?: String,
+ *  children?: Array<OutputField>,
+ *  typeDetails?: import('./TypeDetails')|null,
  * }} OutputField
+ *
+ * @property {Array<OutputField>} children   Only used for nested object fields built for GQL
+ * @property {TypeDetails|null} typeDetails  The GraphQL type details of scalar fields, used for
+ *                                           creating samples
  */
 class OutputField {
 
@@ -20,11 +29,23 @@ class OutputField {
     label,
     type,
     choices,
+    list,
+    important,
+    helpText,
+    children,
+    typeDetails = null,
   }) {
     this.key = key;
     this.label = label;
     this.type = type;
     this.choices = choices;
+    this.list = list;
+    this.important = important;
+    this.helpText = helpText;
+    this.children = children;
+
+    // Not enumerable, so the GraphQL type details aren't output with the field to Zapier
+    Object.defineProperty(this, 'typeDetails', { value: typeDetails, writable: true });
   }
 }
 
@@ -0,0 +1,115 @@
+'use strict'
+
+const firstNames = ['John', 'Jane', 'Maria', 'David', 'Sarah', 'Michael', 'Emma', 'Daniel', 'Olivia', 'James'];
+const lastNames = ['Doe', 'Smith', 'Garcia', 'Johnson', 'Brown', 'Miller', 'Davis', 'Wilson', 'Moore', 'Taylor'];
+const words = ['alpha', 'bravo', 'delta', 'harbor', 'maple', 'summit', 'willow', 'cedar', 'orbit', 'meadow'];
+
+/**
+ * Generates realistic sample values for fields, such as names, emails, phone numbers, URLs, dates
+ * and enum values.  The values are deterministic, seeded by the configured seed and the key of the
+ * field, so samples don't change each time an action file is updated.
+ */
+class SampleGenerator {
+
+  /**
+   * @param {String|Number} seed
+   */
+  constructor(seed) {
+    this.seed = String(seed);
+  }
+
+
+  /**
+   * Gets a seeded pseudo-random number generator (mulberry32) for a key, returning numbers
+   * between 0 and 1.
+   *
+   * @param {String} key
+   *
+   * @returns {() => Number}
+   */
+  random(key) {
+    // FNV-1a hash of the seed and key, as the generator's state
+    let state = 2166136261;
+    for (const char of `${this.seed}:${key}`) {
+      state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+    }
+
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+
+  /**
+   * Generates a sample value for a field, based on its name, Zapier type and GraphQL type.
+   *
+   * @param {import('./InputField')|import('./OutputField')} field
+   * @param {import('./TypeDetails')|null} typeDetails
+   *
+   * @returns {*}   Undefined if there isn't a realistic value for the field
+   */
+  generate(field, typeDetails = null) {
+    const random = this.random(field.key);
+    const pick = (values) => values[Math.floor(random() * values.length)];
+    const digits = (length) => Array.from({ length }, () => Math.floor(random() * 10)).join('');
+
+    const name = field.key.split(/__|\[\]/).pop();
+    const typeName = typeDetails?.typeName ?? '';
+
+    // The names are seeded by the object the field belongs to, so its name and email match
+    const person = this.random(`person:${field.key.slice(0, -name.length)}`);
+    const firstName = firstNames[Math.floor(person() * firstNames.length)];
+    const lastName = lastNames[Math.floor(person() * lastNames.length)];
+
+    if (typeDetails?.enumValues?.length) {
+      return pick(typeDetails.enumValues);
+    }
+
+    if (field.type === 'datetime' || /^(Date|DateTime|Timestamp)$/i.test(typeName)) {
+      // A date within 2024, so it's realistic without changing over time
+      const date = new Date(Date.UTC(2024, 0, 1) + Math.floor(random() * 366 * 24 * 60) * 60 * 1000);
+
+      return /^Date$/i.test(typeName) ? date.toISOString().slice(0, 10) : date.toISOString();
+    }
+
+    if (!['string', 'text'].includes(field.type)) {
+      return undefined;
+    }
+
+    if (/^E?mail$/i.test(typeName) || /email$/i.test(name)) {
+      return `${firstName}.${lastName}@example.com`.toLowerCase();
+    }
+
+    if (/^Phone(Number)?$/i.test(typeName) || /(phone|mobile|fax)(Number)?$/i.test(name)) {
+      return `+1555${digits(7)}`;
+    }
+
+    if (/^(Url|Uri)$/i.test(typeName) || /(url|uri|website|link)$/i.test(name)) {
+      return `https://${pick(words)}.example.com`;
+    }
+
+    if (/^first_?name$|^given_?name$/i.test(name)) {
+      return firstName;
+    }
+
+    if (/^last_?name$|^(family_?name|surname)$/i.test(name)) {
+      return lastName;
+    }
+
+    if (/^(full_?)?name$/i.test(name)) {
+      return `${firstName} ${lastName}`;
+    }
+
+    if (/^user_?name$/i.test(name)) {
+      return `${firstName}.${lastName}`.toLowerCase();
+    }
+
+    return undefined;
+  }
+}
+
+module.exports = SampleGenerator;
@@ -17,6 +17,7 @@ const {
  * @template {{
  *  fieldName: String|null,
  *  typeName: String,
+ *  signature: String,
  *  type: GraphQLObjectType|GraphQLInputObjectType|GraphQLScalarType|GraphQLEnumType|GraphQLUnionType|GraphQLInterfaceType,
  *  scalarType: String|null,
  *  isList: Boolean,
@@ -24,10 +25,15 @@ const {
  *  description: String|null,
  *  enumValues: Array<String>,
  *  children: Array<Object>,
+ *  deprecationReason?: String|null,
  * }} TypeDetails
  *
  * @property {String} fieldName   Only used in certain cases where we need to know the field name
  *                                for which a type is being described
+ * @property {String|null} deprecationReason  Only set for the fields of input object types, which
+ *                                aren't otherwise available once their details are built
+ * @property {String} signature   The full type signature, including list and non-null wrappers,
+ *                                as used for variable definitions (e.g. "[String!]!")
  */
 class TypeDetails {
 
@@ -37,16 +43,19 @@ class TypeDetails {
   constructor({
     fieldName,
     typeName,
+    signature,
     type,
     scalarType,
     isList,
     isRequired,
     description,
     enumValues,
-    children
+    children,
+    deprecationReason = null,
   }) {
     this.fieldName = fieldName;
     this.typeName = typeName;
+    this.signature = signature;
     this.type = type;
     this.scalarType = scalarType;
     this.isList = isList;
@@ -54,6 +63,7 @@ class TypeDetails {
     this.description = description;
     this.enumValues = enumValues;
     this.children = children;
+    this.deprecationReason = deprecationReason;
   }
 }
 
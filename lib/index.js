@@ -3,11 +3,13 @@
 require('dotenv').config();
 
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
+const { isDeepStrictEqual } = require('util');
 const JSON5 = require('json5');
 const inflection = require('inflection');
 
-const { Agent } = require('undici');
+const { Agent, ProxyAgent } = require('undici');
 const {
   GraphQLSchema,
   GraphQLList,
@@ -16,22 +18,49 @@ const {
   GraphQLInputObjectType,
   GraphQLScalarType,
   GraphQLEnumType,
+  GraphQLUnionType,
+  GraphQLInterfaceType,
+  NoDeprecatedCustomRule,
+  graphql,
+  parse,
+  print,
+  validate,
 } = require('graphql');
 const { buildClientSchema } = require('graphql/utilities/buildClientSchema.js');
+const { buildSchema } = require('graphql/utilities/buildASTSchema.js');
 const { getIntrospectionQuery } = require('graphql/utilities/getIntrospectionQuery.js');
+const { createTwoFilesPatch } = require('diff');
+const zapier = require('zapier-platform-core');
 const { updateEntryFile } = require('zapier-platform-cli/src/utils/scaffold.js');
+const { createRootRequire } = require('zapier-platform-cli/src/utils/ast.js');
 
 const Config = require('./Config.js');
 const TypeDetails = require('./TypeDetails.js');
 const InputField = require('./InputField.js');
 const OutputField = require('./OutputField.js');
-
-/** @type {Config} */
-let config;
+const SampleGenerator = require('./SampleGenerator.js');
+const {
+  getConfig,
+  setConfig: setRuntimeConfig,
+  setRequestInterceptor,
+  executeOperation,
+} = require('./utils');
 
 /** @type {GraphQLSchema } */
 let cachedSchema;
 
+/** @type {String|null} */
+let schemaSource = null;
+
+/** @type {Boolean} */
+let schemaRefresh = false;
+
+/** @type {String|null} */
+let endpoint = null;
+
+/** @type {{mode: String, file: String, interactions: Array<Object>, replayed: Number}|null} */
+let httpFixtures = null;
+
 
 /**
  * A hacked JSON.stringify that will allow us to print raw javascript expressions without quoting
@@ -42,15 +71,24 @@ let cachedSchema;
  * @returns {String}
  */
 const stringifyObject = (input, indentation = 0) => {
+  if (Array.isArray(input) && !input.length) {
+    return '[]';
+  }
+
+  if (input && typeof input === 'object' && !Object.keys(input).length) {
+    return '{}';
+  }
+
+  // Nested arrays and objects are indented one more level
   if (Array.isArray(input)) {
     return `[
-${' '.repeat(indentation > 2 ? (indentation - 2) : indentation)}${input.map((v) => stringifyObject(v, indentation)).join(`,\n${' '.repeat(indentation > 2 ? (indentation - 2) : indentation)}`)}
+${' '.repeat(indentation)}${input.map((v) => stringifyObject(v, indentation + 2)).join(`,\n${' '.repeat(indentation)}`)}
 ${' '.repeat(indentation > 2 ? (indentation - 2) : indentation)}]`;
   }
 
-  if (typeof input === 'object') {
+  if (input && typeof input === 'object') {
     return `{
-${' '.repeat(indentation)}${Object.entries(input).map(([k, v]) => `${k}: ${stringifyObject(v, indentation)}`).join(`,\n${' '.repeat(indentation)}`)}
+${' '.repeat(indentation)}${Object.entries(input).map(([k, v]) => `${k}: ${stringifyObject(v, indentation + 2)}`).join(`,\n${' '.repeat(indentation)}`)}
 ${' '.repeat(indentation > 2 ? (indentation - 2) : indentation)}}`;
   }
 
@@ -94,72 +132,334 @@ const inflectLabel = (label) => {
 
 
 /**
- * Gets the GraphQL request configuration and performs necessary validation.
+ * This is really for testing due to mocking limitations.
  *
- * @returns {Object}
+ * @param {Config} newConfig
+ */
+const setConfig = (newConfig) => {
+  setRuntimeConfig(newConfig);
+  cachedSchema = undefined; // The schema source may have changed with the config
+}
+
+
+/**
+ * Overrides the configured schema source, which is what the "--schema" CLI option uses.
+ *
+ * @param {String|null} source    Path to a .graphql SDL file or introspection result JSON file
+ */
+const setSchemaSource = (source) => {
+  schemaSource = source || null;
+  cachedSchema = undefined;
+}
+
+
+/**
+ * Forces the schema to be introspected from the API, ignoring the on-disk schema cache, which is
+ * what the "--refresh" CLI option uses.
+ *
+ * @param {Boolean} refresh
+ */
+const setSchemaRefresh = (refresh) => {
+  schemaRefresh = !!refresh;
+  cachedSchema = undefined;
+}
+
+
+/**
+ * Sets the named endpoint that operations are scaffolded, updated and introspected for, which is
+ * what the "--endpoint" CLI option uses.  Otherwise, it's the default endpoint configured by the
+ * top level "request", "schema", "schemaCache" and "operations".
+ *
+ * @param {String|null} name
  */
-const getConfig = () => {
-  if (config) {
-    return config;
+const setEndpoint = (name) => {
+  if (name && !getConfig().endpoints[name]) {
+    throw new Error(`Endpoint "${name}" is not configured in the "endpoints" config directive`);
   }
 
-  try {
-    config = new Config(require(process.cwd() + '/.zapiergraphql'));
-  } catch (e) {
-    throw new Error('No .zapiergraphql config file found in project root');
+  if ((name || null) !== endpoint) {
+    endpoint = name || null;
+    cachedSchema = undefined;
   }
+}
 
-  if (!config.request.urlEnvVar) {
-    throw new Error(
-      'GraphQL service not configured. You must call "configureGraphQL" and provide the request.url.',
-    );
+
+/**
+ * Gets the request, schema, schema cache and operations configuration of the current endpoint.
+ *
+ * @returns {{request: Object, schema: String|null, schemaCache: Object|false, operations: Object}}
+ */
+const getEndpointConfig = () => {
+  const { request, schema, schemaCache, operations, endpoints } = getConfig();
+
+  return endpoint ? endpoints[endpoint] : { request, schema, schemaCache, operations };
+}
+
+
+/**
+ * Qualifies an operation name with the current endpoint, so the operations of different
+ * endpoints can share names without their action keys clashing.
+ *
+ * @param {String} operation
+ *
+ * @returns {String}
+ */
+const getQualifiedName = (operation) => {
+  return endpoint ? `${endpoint}__${operation}` : operation;
+}
+
+
+/**
+ * Gets the headers for introspecting the API.  Headers resolved at runtime, from a function or
+ * "{{bundle.*}}" placeholders, aren't available outside of Zapier, so the introspection headers
+ * are used for them instead (e.g. credentials from the environment).
+ *
+ * @returns {Object}
+ */
+const getIntrospectionHeaders = () => {
+  const { headers, introspectionHeaders } = getEndpointConfig().request;
+
+  const staticHeaders = Object.entries(headers).filter(([name, value]) => {
+    return typeof value !== 'function' && !/\{\{\s*bundle\./.test(value);
+  });
+
+  return {
+    ...Object.fromEntries(staticHeaders),
+    ...introspectionHeaders,
+  };
+}
+
+
+/**
+ * Gets the proxy to request the API server through, which is the configured "request.proxy", or
+ * the HTTPS_PROXY environment variable, unless the host is excluded by NO_PROXY.
+ *
+ * @param {URL} url
+ *
+ * @returns {String|null}
+ */
+const getProxy = (url) => {
+  const { proxy } = getEndpointConfig().request;
+  if (proxy) {
+    return proxy;
+  }
+
+  const envProxy = process.env.HTTPS_PROXY ?? process.env.https_proxy;
+  const noProxy = (process.env.NO_PROXY ?? process.env.no_proxy ?? '').split(',')
+    .map(host => host.trim().replace(/^\*?\./, ''))
+    .filter(Boolean);
+
+  if (!envProxy || noProxy.some(host => host === '*' || url.hostname === host || url.hostname.endsWith(`.${host}`))) {
+    return null;
   }
 
-  return config;
+  return envProxy;
 }
 
 
 /**
- * This is really for testing due to mocking limitations.
+ * Creates the undici dispatcher for requests to the API server, with the configured TLS options
+ * and proxy.  Certificates are verified, unless "request.tls.insecure" is explicitly enabled.
  *
- * @param {Config} newConfig
+ * @param {URL} url
+ *
+ * @returns {Agent|ProxyAgent}
  */
-const setConfig = (newConfig) => {
-  config = newConfig;
+const createDispatcher = (url) => {
+  const { tls } = getEndpointConfig().request;
+
+  const readTlsFile = (option) => {
+    if (!tls[option]) {
+      return undefined;
+    }
+
+    const file = path.resolve(process.cwd(), tls[option]);
+    if (!fs.existsSync(file)) {
+      throw new Error(`The "request.tls.${option}" file "${tls[option]}" does not exist`);
+    }
+
+    return fs.readFileSync(file);
+  }
+
+  const connect = {
+    ca: readTlsFile('ca'),
+    cert: readTlsFile('cert'),
+    key: readTlsFile('key'),
+    rejectUnauthorized: !tls.insecure,
+  };
+
+  const proxy = getProxy(url);
+
+  return proxy ? new ProxyAgent({ uri: proxy, requestTls: connect }) : new Agent({ connect });
 }
 
 
 /**
- * Makes a GraphQL request to the API server.
+ * Makes a GraphQL request to the API server.  Timeouts, TLS and other connection failures, HTTP
+ * error statuses and non-JSON responses are each thrown with their own error message.
+ *
+ * @param {String} gql
  *
  * @returns {Promise<Object>}
  */
 const makeRequest = async (gql) => {
-  const { urlEnvVar, headers } = getConfig().request;
+  const { urlEnvVar, timeoutMs } = getEndpointConfig().request;
+  const url = new URL(process.env[urlEnvVar]);
+  const dispatcher = createDispatcher(url);
 
-  const response = await fetch(new URL(process.env[urlEnvVar]), {
-    dispatcher: new Agent({
-      connect: {
-        rejectUnauthorized: false,
-      },
-    }),
-    method: 'POST',
-    headers: headers,
-    body: JSON.stringify({
+  let response;
+  try {
+    response = await fetch(url, {
+      dispatcher,
+      signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined,
+      method: 'POST',
+      headers: getIntrospectionHeaders(),
+      body: JSON.stringify({
         query: gql,
-    }),
-  });
+      }),
+    });
+  } catch (e) {
+    if (e.name === 'TimeoutError' || e.name === 'AbortError') {
+      throw new Error(`Request to ${url.origin} timed out after ${timeoutMs}ms, see the "request.timeoutMs" config directive`);
+    }
+
+    const cause = e.cause ?? e;
+    if (/CERT|SSL|TLS|SELF_SIGNED|UNABLE_TO_(GET|VERIFY)/.test(cause.code ?? '')) {
+      throw new Error(`TLS error requesting ${url.origin}: ${cause.message} (${cause.code}), see the "request.tls" config directive`);
+    }
+
+    throw new Error(`Unable to request ${url.origin}: ${cause.message}`);
+  }
 
   if (response.status !== 200) {
-    throw new Error(`[HTTP ${response.status}: ${response.statusText}}] ${await response.text()}`);
+    throw new Error(`[HTTP ${response.status}: ${response.statusText}] ${await response.text()}`);
+  }
+
+  try {
+    return await response.json();
+  } catch (e) {
+    const contentType = response.headers?.get('content-type') ?? 'unknown';
+    throw new Error(`Expected a JSON response from ${url.origin}, not "${contentType}" content: ${e.message}`);
+  }
+}
+
+
+/**
+ * Loads a GraphQL schema from a local file.  Both SDL files (.graphql, .graphqls, .gql) and
+ * introspection result JSON files, with or without the outer "data" property, are supported.
+ *
+ * @param {String} file   Path to the schema file, relative to the project root
+ *
+ * @returns {GraphQLSchema}
+ */
+const loadSchemaFile = (file) => {
+  const filePath = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Schema file "${file}" does not exist`);
+  }
+
+  const contents = fs.readFileSync(filePath, 'utf8');
+
+  switch (path.extname(filePath).toLowerCase()) {
+    case '.graphql':
+    case '.graphqls':
+    case '.gql':
+      return buildSchema(contents);
+    case '.json': {
+      const json = JSON.parse(contents);
+      const introspection = json.data ?? json;
+      if (!introspection.__schema) {
+        throw new Error(`Schema file "${file}" is not a valid introspection result`);
+      }
+
+      return buildClientSchema(introspection);
+    }
+    default:
+      throw new Error(`Unsupported schema file "${file}", must be a .graphql or .json file`);
+  }
+}
+
+
+/**
+ * Gets the absolute path to the on-disk schema cache file, if the cache is enabled.
+ *
+ * @returns {String|null}
+ */
+const getSchemaCacheFile = () => {
+  const { schemaCache } = getEndpointConfig();
+  if (!schemaCache) {
+    return null;
+  }
+
+  return path.resolve(process.cwd(), schemaCache.file);
+}
+
+
+/**
+ * Reads the on-disk schema cache.
+ *
+ * @returns {{pulledAt: String, url: String|null, introspection: Object}|null}
+ */
+const readSchemaCache = () => {
+  const file = getSchemaCacheFile();
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Unable to read schema cache file "${file}": ${e.message}`);
+  }
+}
+
+
+/**
+ * Whether or not the schema cache has outlived its configured TTL.  A TTL of 0 never expires.
+ *
+ * @param {{pulledAt: String}} cache
+ *
+ * @returns {Boolean}
+ */
+const isSchemaCacheExpired = (cache) => {
+  const { ttl } = getEndpointConfig().schemaCache || {};
+  if (!ttl) {
+    return false;
+  }
+
+  return Date.now() - new Date(cache.pulledAt).getTime() > ttl * 1000;
+}
+
+
+/**
+ * Introspects the schema from the API server and writes it to the schema cache file, if enabled.
+ *
+ * @returns {Promise<{pulledAt: String, url: String|null, introspection: Object}>}
+ */
+const introspectSchema = async () => {
+  // Deprecated arguments and input fields are only introspected when asked for
+  const json = await makeRequest(getIntrospectionQuery({ inputValueDeprecation: true }));
+
+  const cache = {
+    pulledAt: new Date().toISOString(),
+    url: process.env[getEndpointConfig().request.urlEnvVar] ?? null,
+    introspection: json.data,
+  };
+
+  const file = getSchemaCacheFile();
+  if (file) {
+    console.log(`Writing the introspected schema to the cache file: ${path.relative(process.cwd(), file)}`);
+    fs.writeFileSync(file, JSON.stringify(cache, null, 2) + '\n');
   }
 
-  return await response.json();
+  return cache;
 }
 
 
 /**
- * Gets the GraphQL schema from the API server and parses it out into a GraphQLSchema object.
+ * Gets the GraphQL schema and parses it out into a GraphQLSchema object.  If a schema source is
+ * configured, it's loaded from that file.  Otherwise, the on-disk schema cache is used, unless
+ * it's expired or a refresh is requested, in which case the API server is introspected.
  *
  * @returns {Promise<GraphQLSchema>}
  */
@@ -168,21 +468,73 @@ const getSchema = async () => {
     return cachedSchema;
   }
 
-  const json = await makeRequest(getIntrospectionQuery());
+  const source = schemaSource ?? getEndpointConfig().schema;
+  if (source) {
+    cachedSchema = loadSchemaFile(source);
+
+    return cachedSchema;
+  }
+
+  const cache = !schemaRefresh ? readSchemaCache() : null;
+  if (cache && !isSchemaCacheExpired(cache)) {
+    cachedSchema = buildClientSchema(cache.introspection);
+
+    return cachedSchema;
+  }
 
-  cachedSchema = buildClientSchema(json.data);
+  cachedSchema = buildClientSchema((await introspectSchema()).introspection);
 
   return cachedSchema;
 }
 
 
+/**
+ * Pulls the schema from the API server into the on-disk schema cache.
+ *
+ * @returns {Promise<{file: String, pulledAt: String, url: String|null}>}
+ */
+const pullSchema = async () => {
+  if (!getEndpointConfig().schemaCache) {
+    throw new Error('The schema cache is disabled, set the "schemaCache" config directive to enable it');
+  }
+
+  const { pulledAt, url, introspection } = await introspectSchema();
+  cachedSchema = buildClientSchema(introspection);
+
+  return { file: getSchemaCacheFile(), pulledAt, url };
+}
+
+
+/**
+ * Gets the status of the on-disk schema cache.
+ *
+ * @returns {{file: String|null, exists: Boolean, pulledAt?: String, url?: String|null, expired?: Boolean}}
+ */
+const getSchemaStatus = () => {
+  const file = getSchemaCacheFile();
+  const cache = readSchemaCache();
+  if (!cache) {
+    return { file, exists: false };
+  }
+
+  return {
+    file,
+    exists: true,
+    pulledAt: cache.pulledAt,
+    url: cache.url,
+    expired: isSchemaCacheExpired(cache),
+  };
+}
+
+
 /**
  * Gets a specific query definition from the schema
  *
  * @param {String} query
+ * @param {GraphQLSchema|null} schema   Defaults to the schema of the current endpoint
  */
-const getQueryDefinition = async (query) => {
-  const schema = await getSchema();
+const getQueryDefinition = async (query, schema = null) => {
+  schema ??= await getSchema();
   const queries = schema.getQueryType()?.getFields();
   if (!queries || !queries[query]) {
     throw new Error(`Query "${query}" does not exist`);
@@ -196,9 +548,10 @@ const getQueryDefinition = async (query) => {
  * Gets a specific mutation definition from the schema
  *
  * @param {String} mutation
+ * @param {GraphQLSchema|null} schema   Defaults to the schema of the current endpoint
  */
-const getMutationDefinition = async (mutation) => {
-  const schema = await getSchema();
+const getMutationDefinition = async (mutation, schema = null) => {
+  schema ??= await getSchema();
   const mutations = schema.getMutationType()?.getFields();
   if (!mutations || !mutations[mutation]) {
     throw new Error(`Mutation "${mutation}" does not exist`);
@@ -208,16 +561,170 @@ const getMutationDefinition = async (mutation) => {
 }
 
 
+/**
+ * Gets the operations of the current endpoint registered as triggers, searches and creates in the
+ * Zapier index.js entry file, keyed by action type.
+ *
+ * @returns {{trigger: Array<String>, search: Array<String>, create: Array<String>}}
+ */
+const getRegisteredActions = () => {
+  const file = process.cwd() + '/index.js';
+  if (!fs.existsSync(file)) {
+    return { trigger: [], search: [], create: [] };
+  }
+
+  // Actions may have been registered since it was last required
+  delete require.cache[file];
+  const zapierApp = require(file);
+
+  // Only the operations of the current endpoint are relevant to its schema
+  const getOperations = (actions) => Object.keys(actions || {})
+    .map(parseActionKey)
+    .filter(parsed => parsed.endpoint === endpoint)
+    .map(parsed => parsed.operation);
+
+  return {
+    trigger: getOperations(zapierApp.triggers),
+    search: getOperations(zapierApp.searches),
+    create: getOperations(zapierApp.creates),
+  };
+}
+
+
+/**
+ * Whether all the characters of the search term appear, in order, within the string.
+ *
+ * @param {String} term
+ * @param {String} string
+ *
+ * @returns {Boolean}
+ */
+const fuzzyMatch = (term, string) => {
+  term = term.toLowerCase();
+  string = string.toLowerCase();
+
+  let position = 0;
+  for (const char of term) {
+    position = string.indexOf(char, position);
+    if (position === -1) {
+      return false;
+    }
+
+    position++;
+  }
+
+  return true;
+}
+
+
+/**
+ * Lists the query and mutation operations available in the schema, along with the actions
+ * they're already registered as in the Zapier index.js entry file.
+ *
+ * @param {String} filter   Optional fuzzy search term matched against the operation name
+ *
+ * @returns {Promise<Array<{
+ *  name: String,
+ *  kind: 'query'|'mutation',
+ *  description: String|null,
+ *  deprecationReason: String|null,
+ *  args: Array<{name: String, type: String}>,
+ *  returnType: String,
+ *  registered: Array<String>,
+ * }>>}
+ */
+const listOperations = async (filter = '') => {
+  const schema = await getSchema();
+  const registeredActions = getRegisteredActions();
+
+  const describe = (kind, fields) => Object.values(fields || {})
+    .filter(field => fuzzyMatch(filter, field.name))
+    .map(field => ({
+      name: field.name,
+      kind,
+      description: field.description ?? null,
+      deprecationReason: field.deprecationReason ?? null,
+      args: field.args.map(arg => ({ name: arg.name, type: arg.type.toString() })),
+      returnType: field.type.toString(),
+      registered: Object.entries(registeredActions)
+        .filter(([action, keys]) => (kind === 'mutation') === (action === 'create') && keys.includes(field.name))
+        .map(([action]) => action),
+    }));
+
+  return [
+    ...describe('query', schema.getQueryType()?.getFields()),
+    ...describe('mutation', schema.getMutationType()?.getFields()),
+  ];
+}
+
+
+/**
+ * Whether a deprecated field, argument or enum value is left out by the "deprecated" policy.
+ *
+ * @param {{deprecationReason?: String|null}} member
+ *
+ * @returns {Boolean}
+ */
+const isDeprecationExcluded = (member) => {
+  return getConfig().deprecated === 'exclude' && member.deprecationReason != null;
+}
+
+
+/**
+ * Annotates the help text of a field with its deprecation reason, along with those of its
+ * deprecated enum values, when the "deprecated" policy is to mark them.
+ *
+ * @param {String|null} helpText
+ * @param {String|null} deprecationReason
+ * @param {Object|null} type    The field's named type, for its enum values
+ *
+ * @returns {String|null}
+ */
+const markDeprecation = (helpText, deprecationReason, type = null) => {
+  if (getConfig().deprecated !== 'mark') {
+    return helpText;
+  }
+
+  let notes = [];
+  if (deprecationReason != null) {
+    notes.push(`Deprecated: ${deprecationReason}`);
+  }
+
+  const deprecatedValues = type instanceof GraphQLEnumType
+    ? type.getValues().filter(value => value.deprecationReason != null)
+    : [];
+  if (deprecatedValues.length) {
+    notes.push(`Deprecated values: ${deprecatedValues.map(value => `${value.name} (${value.deprecationReason})`).join(', ')}`);
+  }
+
+  return notes.length ? [...notes, helpText].filter(Boolean).join('\n\n') : helpText;
+}
+
+
+/**
+ * Gets the warning for an operation being scaffolded that's deprecated in the schema.
+ *
+ * @param {import('graphql').GraphQLField} definition
+ *
+ * @returns {String|null}
+ */
+const getDeprecationWarning = (definition) => {
+  return definition.deprecationReason != null
+    ? `"${definition.name}" is deprecated: ${definition.deprecationReason}`
+    : null;
+}
+
+
 /**
  * Builds out the details for a type
  *
  * Type objects are one of the following:
- *    GraphQLUnionType
+ *    GraphQLUnionType (implemented)
  *    GraphQLScalarType (inferred)
  *    GraphQLObjectType (implemented)
  *    GraphQLNonNull (implemented)
  *    GraphQLList (implemented)
- *    GraphQLInterfaceType
+ *    GraphQLInterfaceType (implemented)
  *    GraphQLInputObjectType (implemented)
  *    GraphQLEnumType
  *
@@ -274,7 +781,7 @@ const getTypeDetails = (outerType, fieldName = null, description = null) => {
     isRequired = isRequired ? isRequired : t instanceof GraphQLNonNull;
     scalarType = scalarType || determineScalarType(t);
     enumValues = enumValues.length ? enumValues : (t instanceof GraphQLEnumType
-      ? t.getValues().map(v => v.name)
+      ? t.getValues().filter(v => !isDeprecationExcluded(v)).map(v => v.name)
       : []
     );
 
@@ -292,6 +799,7 @@ const getTypeDetails = (outerType, fieldName = null, description = null) => {
   return new TypeDetails({
     fieldName,
     typeName,
+    signature: outerType.toString(),
     type,
     scalarType,
     isList,
@@ -338,16 +846,18 @@ const getTypeDetailsWithChildren = (
 
   let children = [];
   if (typeDetails.type instanceof GraphQLObjectType || typeDetails.type instanceof GraphQLInputObjectType) {
-    const fields = Object.entries(typeDetails.type.getFields());
+    const fields = Object.entries(typeDetails.type.getFields())
+      .filter(([name, field]) => !isDeprecationExcluded(field));
 
     depth++;
     fields.forEach((f) => {
       if (f[1].type instanceof GraphQLList) {
         children[f[0]] = getTypeDetailsWithChildren(f[1].type.ofType, fieldName, f[1].description, depth);
-        return;
+      } else {
+        children[f[0]] = getTypeDetailsWithChildren(f[1].type, fieldName, f[1].description, depth);
       }
 
-      children[f[0]] = getTypeDetailsWithChildren(f[1].type, fieldName, f[1].description, depth);
+      children[f[0]].deprecationReason = f[1].deprecationReason ?? null;
     });
 
     typeDetails.children = children;
@@ -450,8 +960,10 @@ const getInputFields = (
           // attempts to get the innermost type, while gathering important information, like isRequired.
           // To get the isRequired value, we just check the outer field (typeDetails in this case).
           required: field.isRequired || typeDetails.isRequired,
-          helpText: typeDetails.description,
+          ...(typeDetails.isList && {list: true}),
+          helpText: markDeprecation(typeDetails.description, field.deprecationReason, typeDetails.type),
           ...(typeDetails.enumValues.length && {choices: typeDetails.enumValues}),
+          typeDetails,
         }));
 
         continue;
@@ -533,28 +1045,296 @@ const sortOutputFields = (fields) => {
 
 
 /**
- * Builds an object of the output fields from a type.
+ * Gets the configuration for a specific operation, from the "operations" config.
  *
- * @param {GraphQLObjectType} type
- * @param {Boolean} forGQL          Whether or not to build the output fields for a GQL query
+ * @param {String} operation
  *
- * @returns {Array<OutputField>}
+ * @returns {Object}
  */
-const getOutputFields = (type, forGQL = false) => {
-  // If the getFields function isn't available, assume it's a scalar or enum output type
-  if (typeof type.getFields !== 'function') {
-    const typeDetails = getTypeDetails(type);
+const getOperationConfig = (operation) => {
+  return getEndpointConfig().operations[operation] ?? {};
+}
 
-    if (!typeDetails.scalarType) {
-      throw new Error(`Unable to handle scalar type for "${type.name}" field`);
-    }
 
-    return [new OutputField({
-      key: typeDetails.typeName === 'ID' ? 'id' : 'value', // GraphQL implicity returns don't have a field - default to 'value'
-      label: inflectLabel(type.name),
-      type: typeDetails.scalarType,
+/**
+ * Gets the note generated files make of the named endpoint they target, if any.
+ *
+ * @returns {String}
+ */
+const getEndpointNote = () => {
+  return endpoint ? ` (${endpoint} endpoint)` : '';
+}
+
+
+/**
+ * Gets the Zapier key of an operation's action, which is the operation name, qualified with a
+ * named endpoint, unless configured.
+ *
+ * @param {String} operation
+ *
+ * @returns {String}
+ */
+const getActionKey = (operation) => {
+  return getOperationConfig(operation).key ?? getQualifiedName(operation);
+}
+
+
+/**
+ * Gets the endpoint and operation name for the Zapier key of an action, the reverse of
+ * getActionKey.
+ *
+ * @param {String} key
+ *
+ * @returns {{endpoint: String|null, operation: String}}
+ */
+const parseActionKey = (key) => {
+  const { operations, endpoints } = getConfig();
+
+  const endpointOperations = [
+    [null, operations],
+    ...Object.entries(endpoints).map(([name, endpointConfig]) => [name, endpointConfig.operations]),
+  ];
+  for (const [name, operationsConfig] of endpointOperations) {
+    const configured = Object.entries(operationsConfig)
+      .find(([operation, operationConfig]) => operationConfig.key === key);
+
+    if (configured) {
+      return { endpoint: name, operation: configured[0] };
+    }
+  }
+
+  const [, name, operation] = key.match(/^([a-zA-Z][a-zA-Z0-9]*)__(.+)$/) ?? [];
+
+  return name && endpoints[name]
+    ? { endpoint: name, operation }
+    : { endpoint: null, operation: key };
+}
+
+
+/**
+ * Gets the arguments of an operation, limited to the operation's configured "arguments" to show.
+ * Required arguments can't be left out, but the always included ones (e.g. pagination) are.
+ *
+ * @param {String} operation
+ * @param {ReadonlyArray<import('graphql').GraphQLArgument>} args
+ * @param {Array<String>} alwaysInclude
+ *
+ * @returns {Array<import('graphql').GraphQLArgument>}
+ */
+const getOperationArguments = (operation, args, alwaysInclude = []) => {
+  const shown = getOperationConfig(operation).arguments;
+  if (!shown) {
+    // Deprecated arguments are left out by the "exclude" policy, unless they're needed
+    return args.filter(arg => !isDeprecationExcluded(arg) || alwaysInclude.includes(arg.name));
+  }
+
+  return args.filter((arg) => {
+    if (shown.includes(arg.name) || alwaysInclude.includes(arg.name)) {
+      return true;
+    }
+
+    if (arg.type instanceof GraphQLNonNull) {
+      throw new Error(`Argument "${arg.name}" of "${operation}" is required and must be shown`);
+    }
+
+    return false;
+  });
+}
+
+
+/**
+ * Applies the operation's configured "fields" overrides to its input fields, removing the hidden
+ * ones.
+ *
+ * @param {String} operation
+ * @param {Array<InputField>} inputFields
+ *
+ * @returns {Array<InputField>}
+ */
+const applyInputFieldOverrides = (operation, inputFields) => {
+  const overrides = getOperationConfig(operation).fields ?? {};
+  const properties = ['label', 'helpText', 'default', 'placeholder', 'required', 'altersDynamicFields'];
+
+  for (const key of Object.keys(overrides)) {
+    if (!inputFields.some(field => field.key === key)) {
+      throw new Error(`Input field "${key}" configured for "${operation}" does not exist`);
+    }
+  }
+
+  return inputFields.filter((field) => {
+    const override = overrides[field.key];
+    if (!override) {
+      return true;
+    }
+
+    if (override.hidden) {
+      if (field.required) {
+        throw new Error(`Input field "${field.key}" of "${operation}" is required and cannot be hidden`);
+      }
+
+      return false;
+    }
+
+    for (const property of properties.filter(property => property in override)) {
+      field[property] = override[property];
+    }
+
+    return true;
+  });
+}
+
+
+/**
+ * Applies the operation's configured "outputFields" overrides ("label" and "important") to its
+ * output fields.
+ *
+ * @param {String} operation
+ * @param {Array<OutputField>} outputFields
+ *
+ * @returns {Array<OutputField>}
+ */
+const applyOutputFieldOverrides = (operation, outputFields) => {
+  const overrides = getOperationConfig(operation).outputFields ?? {};
+
+  for (const [key, override] of Object.entries(overrides)) {
+    const field = outputFields.find(field => field.key === key);
+    if (!field) {
+      throw new Error(`Output field "${key}" configured for "${operation}" does not exist`);
+    }
+
+    for (const property of ['label', 'important'].filter(property => property in override)) {
+      field[property] = override[property];
+    }
+  }
+
+  return outputFields;
+}
+
+
+/**
+ * Gets the depth of nested object output fields to include for an operation, from the operation
+ * config or falling back to the global config.
+ *
+ * @param {String} operation
+ *
+ * @returns {Number}
+ */
+const getOutputDepth = (operation) => {
+  return getOperationConfig(operation).outputDepth ?? getConfig().outputDepth;
+}
+
+
+/**
+ * Whether the type is a union or interface, which are resolved to one of their possible types.
+ *
+ * @param {Object} type
+ *
+ * @returns {Boolean}
+ */
+const isAbstractType = (type) => {
+  return type instanceof GraphQLUnionType || type instanceof GraphQLInterfaceType;
+}
+
+
+/**
+ * Gets the possible object types of a union or interface type.
+ *
+ * @param {GraphQLSchema} schema
+ * @param {GraphQLUnionType|GraphQLInterfaceType} type
+ *
+ * @returns {ReadonlyArray<GraphQLObjectType>}
+ */
+const getPossibleTypes = (schema, type) => {
+  return schema.getPossibleTypes(type);
+}
+
+
+/**
+ * Builds the output fields for a union or interface type.
+ *
+ * For GQL, "__typename" is selected along with an inline fragment ("... on Type") for each of the
+ * possible types.  For Zapier, the fields of the possible types are merged, along with the
+ * "__typename" field, so zaps can branch on the type.
+ *
+ * @param {GraphQLSchema} schema
+ * @param {GraphQLUnionType|GraphQLInterfaceType} type
+ * @param {Boolean} forGQL
+ * @param {Number} depth
+ * @param {Array<String>} visited
+ *
+ * @returns {Array<OutputField>}
+ */
+const getAbstractOutputFields = (schema, type, forGQL, depth, visited) => {
+  const possibleTypes = getPossibleTypes(schema, type);
+
+  let outputFields = [new OutputField({
+    key: '__typename',
+    label: 'Type',
+    type: 'string',
+    ...(!forGQL && {choices: possibleTypes.map(t => t.name)}),
+  })];
+
+  for (const possibleType of possibleTypes) {
+    const fields = getOutputFields(schema, possibleType, forGQL, depth, [...visited, type.name]);
+
+    // A possible type without any fields at this depth (e.g. only object fields) can't be
+    // selected, since an inline fragment needs a selection set, so only its "__typename" is output
+    if (!fields.length) {
+      continue;
+    }
+
+    if (forGQL) {
+      outputFields.push(new OutputField({
+        key: `... on ${possibleType.name}`,
+        label: possibleType.name,
+        children: fields,
+      }));
+
+      continue;
+    }
+
+    outputFields.push(...fields.filter(field => !outputFields.some(f => f.key === field.key)));
+  }
+
+  return forGQL ? outputFields : sortOutputFields(outputFields);
+}
+
+
+/**
+ * Builds an object of the output fields from a type.
+ *
+ * Nested object fields are included up to the given depth.  For Zapier, they're flattened with
+ * "__" separated keys (e.g. "address__city"), or "[]" for lists of objects, which is how Zapier
+ * flattens the nested output itself.  For GQL, they're nested as children for the selection set.
+ *
+ * @param {GraphQLSchema} schema  The schema of the type, for the possible types of unions and interfaces
+ * @param {GraphQLObjectType} type
+ * @param {Boolean} forGQL          Whether or not to build the output fields for a GQL query
+ * @param {Number} depth            The depth of nested object fields to include
+ * @param {Array<String>} visited   The type names already visited, to guard against cycles
+ *
+ * @returns {Array<OutputField>}
+ */
+const getOutputFields = (schema, type, forGQL = false, depth = 0, visited = []) => {
+  if (isAbstractType(type)) {
+    return getAbstractOutputFields(schema, type, forGQL, depth, visited);
+  }
+
+  // If the getFields function isn't available, assume it's a scalar or enum output type
+  if (typeof type.getFields !== 'function') {
+    const typeDetails = getTypeDetails(type);
+
+    if (!typeDetails.scalarType) {
+      throw new Error(`Unable to handle scalar type for "${type.name}" field`);
+    }
+
+    return [new OutputField({
+      key: typeDetails.typeName === 'ID' ? 'id' : 'value', // GraphQL implicity returns don't have a field - default to 'value'
+      label: inflectLabel(type.name),
+      type: typeDetails.scalarType,
       ...(typeDetails.enumValues.length && {choices: typeDetails.enumValues}),
       // required: typeDetails.isRequired, // Will require sample data
+      typeDetails,
     })];
   }
 
@@ -563,10 +1343,48 @@ const getOutputFields = (type, forGQL = false) => {
 
   let outputFields = [];
   for (const [key, field] of fields) {
+    if (isDeprecationExcluded(field)) {
+      continue;
+    }
+
     const typeDetails = getTypeDetails(field.type, field.name);
 
-    // For now we're skipping relational object fields and only outputting scalar fields.
+    // Relational object fields are only included up to the output depth, and never for a type
+    // that's already being output, since that'd be a cycle.
     if (!typeDetails.scalarType) {
+      if (depth < 1
+        || (typeof typeDetails.type.getFields !== 'function' && !isAbstractType(typeDetails.type))
+        || [...visited, type.name].includes(typeDetails.type.name)
+      ) {
+        continue;
+      }
+
+      const children = getOutputFields(schema, typeDetails.type, forGQL, depth - 1, [...visited, type.name]);
+      if (!children.length) {
+        continue;
+      }
+
+      if (forGQL) {
+        outputFields.push(new OutputField({
+          key: field.name,
+          label: inflectLabel(field.name),
+          ...(typeDetails.isList && {list: true}),
+          children,
+        }));
+
+        continue;
+      }
+
+      const separator = typeDetails.isList ? '[]' : '__';
+      const helpText = markDeprecation(null, field.deprecationReason);
+      outputFields.push(...children.map(child => new OutputField({
+        ...child,
+        key: `${field.name}${separator}${child.key}`,
+        label: `${inflectLabel(field.name)} ${child.label}`,
+        ...(!child.helpText && helpText && {helpText}),
+        typeDetails: child.typeDetails,
+      })));
+
       continue;
     }
 
@@ -574,12 +1392,15 @@ const getOutputFields = (type, forGQL = false) => {
       throw new Error(`Unable to determine field name for "${typeDetails.typeName}" field`);
     }
 
+    const helpText = markDeprecation(null, field.deprecationReason);
     outputFields.push(new OutputField({
       key: typeDetails.fieldName,
       label: inflectLabel(field.name),
       type: typeDetails.scalarType,
       ...(typeDetails.enumValues.length && {choices: typeDetails.enumValues}),
+      ...(helpText && {helpText}),
       // required: typeDetails.isRequired, // Will require sample data
+      typeDetails,
     }));
   }
 
@@ -605,79 +1426,235 @@ const getOutputFields = (type, forGQL = false) => {
 
 
 /**
- * Builds out a GQL query string.
+ * Gets the idMap fields for a type and its nested object fields, up to the output depth, keyed
+ * by the dot separated path of the nested object ('' being the type itself).
+ *
+ * @param {GraphQLSchema} schema
+ * @param {GraphQLObjectType} type
+ * @param {Number} depth
+ * @param {Array<String>} visited   The type names already visited, to guard against cycles
+ * @param {String} path
+ *
+ * @returns {Object}
+ */
+const getIdMapPaths = (schema, type, depth = 0, visited = [], path = '') => {
+  const { idMap } = getConfig();
+
+  // Unions and interfaces are mapped by the "__typename" of each possible type
+  if (isAbstractType(type)) {
+    let paths = {};
+    for (const possibleType of getPossibleTypes(schema, type)) {
+      const possiblePaths = getIdMapPaths(schema, possibleType, depth, [...visited, type.name], path);
+      for (const [possiblePath, field] of Object.entries(possiblePaths)) {
+        paths[possiblePath] = possiblePath === path
+          ? { ...paths[possiblePath], [possibleType.name]: field }
+          : field;
+      }
+    }
+
+    return paths;
+  }
+
+  let paths = idMap[type.name] ? { [path]: idMap[type.name] } : {};
+
+  if (depth < 1 || typeof type.getFields !== 'function') {
+    return paths;
+  }
+
+  for (const field of Object.values(type.getFields())) {
+    const fieldType = getTypeDetails(field.type, field.name).type;
+    if ((typeof fieldType.getFields !== 'function' && !isAbstractType(fieldType))
+      || [...visited, type.name].includes(fieldType.name)
+    ) {
+      continue;
+    }
+
+    paths = {
+      ...paths,
+      ...getIdMapPaths(schema, fieldType, depth - 1, [...visited, type.name], path ? `${path}.${field.name}` : field.name),
+    };
+  }
+
+  return paths;
+}
+
+
+/**
+ * Builds the executeOperation() call of a generated action.  Options that aren't set are left
+ * out, and the current endpoint is added when there is one.
+ *
+ * @param {Object} options
+ * @param {String} options.document     The GQL operation string
+ * @param {String} options.variables    The javascript expression of the variables
+ * @param {String} options.operation
+ *
+ * @returns {String}
+ */
+const buildExecuteOperation = ({ document, variables, operation, ...options }) => {
+  const lines = [
+    `document: \`${indentString(document, 4)}\`,`,
+    ...(variables && variables !== '{}' ? [`variables: ${indentString(variables, 4)},`] : []),
+    `operation: ${JSON5.stringify(operation)},`,
+    ...(endpoint ? [`endpoint: ${JSON5.stringify(endpoint)},`] : []),
+    ...Object.entries(options)
+      // Unset options, such as false flags or an empty idMap, are left out
+      .filter(([, value]) => value && !(typeof value === 'object' && !Object.keys(value).length))
+      .map(([key, value]) => `${key}: ${JSON5.stringify(value)},`),
+  ];
+
+  return `executeOperation(z, bundle, {
+${lines.map(line => `    ${line}`).join('\n')}
+  })`;
+}
+
+
+/**
+ * Builds out a GQL operation string, declaring a typed variable for each of the arguments.
  *
  * @param {String} queryOrMutation
  * @param {String} operation
- * @param {Array<InputField>} inputFields
+ * @param {Array<import('graphql').GraphQLArgument>} args
  * @param {Array<OutputField>} outputFields
+ * @param {Array<String>|null} pageInfoFields   For connections, the pageInfo fields to select,
+ *                                              with the output fields selected on edges.node.
+ *                                              The pageInfo is left out if there aren't any.
  *
  * @returns {String}
  */
 const buildGQL = (
   queryOrMutation,
   operation,
-  inputFields,
+  args,
   outputFields,
+  pageInfoFields = null,
 ) => {
-  if (!['query', 'mutation'].includes(queryOrMutation)) {
-    throw new Error(`Must be 'query' or 'mutation', not "${queryOrMutation}"`);
+  if (!['query', 'mutation', 'subscription'].includes(queryOrMutation)) {
+    throw new Error(`Must be 'query', 'mutation' or 'subscription', not "${queryOrMutation}"`);
+  }
+
+  const variableDefinitions = args.map((arg) => {
+    return `$${arg.name}: ${getTypeDetails(arg.type, arg.name).signature}`;
+  });
+
+  let gql = `${queryOrMutation} ${operation}`;
+  gql += args.length ? `(${variableDefinitions.join(', ')}) {\n` : ' {\n';
+  gql += `  ${operation}`;
+  gql += args.length ? `(${args.map(arg => `${arg.name}: $${arg.name}`).join(', ')})` : '';
+
+  // Scalar return types don't have a selection set
+  if (!outputFields.length && !pageInfoFields) {
+    return gql + '\n}';
+  }
+
+  // Builds the selection set lines, with nested object fields selecting their children
+  const buildSelection = (fields, indentation) => {
+    return fields.map((field) => {
+      if (field.children && field.children.length) {
+        return `${' '.repeat(indentation)}${field.key} {
+${buildSelection(field.children, indentation + 2)}
+${' '.repeat(indentation)}}`;
+      }
+
+      return `${' '.repeat(indentation)}${field.key}`;
+    }).join('\n');
   }
 
-  const buildGQLFields = (fields, fieldDepth = []) => {
+  gql += ' {\n';
+
+  if (pageInfoFields) {
+    gql += `    edges {
+      node {
+${buildSelection(outputFields, 8)}
+      }
+    }`;
+
+    if (pageInfoFields.length) {
+      gql += `
+    pageInfo {
+      ${pageInfoFields.join('\n      ')}
+    }`;
+    }
+  } else {
+    gql += buildSelection(outputFields, 4);
+  }
+
+  gql += `
+  }
+}`;
+
+  return gql;
+}
+
+
+/**
+ * Builds out the variables object, as a javascript expression, mapping the Zapier input data to
+ * the GraphQL operation's arguments.
+ *
+ * @param {Array<InputField>} inputFields   The input fields built for GQL
+ * @param {Object} extraVariables           Additional variables, as javascript expressions
+ *
+ * @returns {String}
+ */
+const buildVariables = (inputFields, extraVariables = {}) => {
+  const buildVariableFields = (fields, fieldDepth = []) => {
     return fields.map(field => {
       if (field.children && field.children.length) {
         fieldDepth.push(field.key);
-        const gqlFields =
-`${'  '.repeat(fieldDepth.length + 1)}${field.field}: {
-${buildGQLFields(field.children, fieldDepth).join('\n')}
-${'  '.repeat(fieldDepth.length + 1)}}`;
+        const variableFields =
+`${'  '.repeat(fieldDepth.length)}${field.field}: {
+${buildVariableFields(field.children, fieldDepth).join('\n')}
+${'  '.repeat(fieldDepth.length)}},`;
 
         fieldDepth.pop();
-        return gqlFields;
+        return variableFields;
       }
 
-      return buildGQLField(field, fieldDepth);
+      return buildVariableField(field, fieldDepth);
     });
   }
 
-  const buildGQLField = (field, fieldDepth = []) => {
+  const buildVariableField = (field, fieldDepth = []) => {
     if (!field.field) {
-      throw new Error(`Unable to build GQL field for "${field.key}" field`);
+      throw new Error(`Unable to build variable for "${field.key}" field`);
     }
 
     // Since we don't know if we've flattened any objects for Zapier compatibility here, it's a bit
     // difficult to deal with the fieldDepth when appending it to the namespace.  However, since
     // the depth for Zapier is limited to 1, we can just get the last parent field in the depth.
-    const parentFieldNamespace = fieldDepth.length > 1 ? fieldDepth.slice(-1)[0] + '.': '';
-    let value = `\${quote(inputData.${parentFieldNamespace}${field.key}${!field.required ? ' ?? null' : ''})}`;
+    const parentFieldNamespace = fieldDepth.length > 1 ? fieldDepth.slice(-1)[0] + '?.': '';
 
-    return '  '.repeat(fieldDepth.length ? fieldDepth.length + 2 : 2) + `${field.field}: ${value}`;
+    return '  '.repeat(fieldDepth.length + 1) + `${field.field}: inputData.${parentFieldNamespace}${field.key},`;
   }
 
-  let gql = `${queryOrMutation} {
-  ${operation}`;
+  const variableFields = [
+    ...buildVariableFields(inputFields),
+    ...Object.entries(extraVariables).map(([name, expression]) => `  ${name}: ${expression},`),
+  ];
 
-  gql += inputFields.length ? `(
-${buildGQLFields(inputFields).join('\n')}
-  ) {\n` : ' {\n';
-  gql += '    ' + outputFields.map(f => f.key).join('\n    ');
-  gql += `
+  if (!variableFields.length) {
+    return '{}';
   }
-}`;
 
-  return gql;
+  return `{
+${variableFields.join('\n')}
+}`;
 }
 
 
 /**
- * Does a best-effort attempt to create sample data for the output fields.
+ * Does a best-effort attempt to create sample data for the output fields.  Configured sample
+ * values are used first, then realistic values from the seeded generator, and otherwise a
+ * placeholder for the field's type.
  *
  * @param {Array<InputField|OutputField>} fields
  */
 const createSamples = (fields) => {
+  const sampleFieldValues = getConfig().sampleFieldValues || {};
+  const generator = sampleFieldValues.generate !== false ? new SampleGenerator(sampleFieldValues.seed) : null;
+
   /**
-   * Will get a configured sample value for a field, if available.
+   * Will get a configured sample value for a field, if available.  Values can be functions of the
+   * field and its GraphQL type details.
    *
    * @param {InputField|OutputField} field
    * @returns
@@ -687,10 +1664,10 @@ const createSamples = (fields) => {
       return null;
     }
 
-    const sampleFieldValues = getConfig().sampleFieldValues || {};
+    const resolve = value => typeof value === 'function' ? value(field, field.typeDetails) : value;
 
     if (sampleFieldValues.exact && sampleFieldValues.exact[field.key]) {
-      return sampleFieldValues.exact[field.key];
+      return resolve(sampleFieldValues.exact[field.key]);
     }
 
     let returnValue = null;
@@ -706,7 +1683,31 @@ const createSamples = (fields) => {
       }
     });
 
-    return returnValue;
+    if (returnValue !== null) {
+      return resolve(returnValue);
+    }
+
+    // The first rule matching the field key, or a function of the field and type details, applies
+    const rule = (sampleFieldValues.rules || []).find(({ match }) => {
+      if (!(match instanceof RegExp)) {
+        return match(field, field.typeDetails);
+      }
+
+      // A global or sticky regular expression would otherwise test from the end of its last match
+      match.lastIndex = 0;
+
+      return match.test(field.key);
+    });
+    if (rule) {
+      return resolve(rule.value);
+    }
+
+    const typeName = field.typeDetails?.typeName;
+    if (typeName && typeName in (sampleFieldValues.scalars || {})) {
+      return resolve(sampleFieldValues.scalars[typeName]);
+    }
+
+    return null;
   }
 
 
@@ -716,6 +1717,18 @@ const createSamples = (fields) => {
       continue;
     }
 
+    const configredValue = getConfiguredValue(field);
+    if (configredValue !== null) {
+      samples[field.key] = configredValue;
+      continue;
+    }
+
+    const generatedValue = generator?.generate(field, field.typeDetails);
+    if (generatedValue !== undefined) {
+      samples[field.key] = generatedValue;
+      continue;
+    }
+
     if (field.choices && field.choices.length) {
       samples[field.key] = field.choices[0];
       continue;
@@ -726,12 +1739,6 @@ const createSamples = (fields) => {
       continue;
     }
 
-    const configredValue = getConfiguredValue(field);
-    if (configredValue !== null) {
-      samples[field.key] = configredValue;
-      continue;
-    }
-
     const getSampleValue = (field) => {
       if (field.children) {
         return createSamples(field.children);
@@ -739,7 +1746,9 @@ const createSamples = (fields) => {
 
       switch (field.type) {
         case 'string':
-          if (field.key === 'id') {
+        case 'text':
+        case 'password':
+          if (field.key.split(/__|\[\]/).pop() === 'id') {
             return '1';
           }
           return 'Something';
@@ -751,8 +1760,10 @@ const createSamples = (fields) => {
           return true;
         case 'datetime':
           return 'CURRENT_TIMESTAMP';
+        case 'file':
+          return 'https://example.com/sample.pdf';
         default:
-          throw new Error(`Unable to create sample data for "${field.key}" field`);
+          return null; // There isn't a sensible placeholder for other Zapier types
       };
     }
 
@@ -763,6 +1774,454 @@ const createSamples = (fields) => {
 }
 
 
+/**
+ * Nests the samples created for flattened output fields (e.g. "address__city") to match the
+ * shape of the response, using the nested output fields built for GQL.
+ *
+ * @param {Object} samples
+ * @param {Array<OutputField>} gqlFields
+ * @param {String} prefix
+ *
+ * @returns {Object}
+ */
+const nestSamples = (samples, gqlFields, prefix = '') => {
+  if (!prefix && !gqlFields.some(field => field.children?.length)) {
+    return samples;
+  }
+
+  // Only the fragment for the sample's "__typename" is included, as a response would be
+  const fields = gqlFields.flatMap((field) => {
+    if (!field.key.startsWith('... on ')) {
+      return [field];
+    }
+
+    return field.key === `... on ${samples[`${prefix}__typename`]}` ? field.children : [];
+  });
+
+  let nested = {};
+  for (const field of fields) {
+    if (field.children?.length) {
+      const value = nestSamples(samples, field.children, `${prefix}${field.key}${field.list ? '[]' : '__'}`);
+      nested[field.key] = field.list ? [value] : value;
+      continue;
+    }
+
+    if (`${prefix}${field.key}` in samples) {
+      nested[field.key] = samples[`${prefix}${field.key}`];
+    }
+  }
+
+  // The idMap "id" field isn't part of the GQL, since it's added to the response
+  if (`${prefix}id` in samples && !('id' in nested)) {
+    nested = { id: samples[`${prefix}id`], ...nested };
+  }
+
+  return nested;
+}
+
+
+/**
+ * Gets the file of the sample recorded for an action by "samples record".
+ *
+ * @param {String} action     Zapier action type, either "trigger", "hook", "search", or "create"
+ * @param {String} operation
+ *
+ * @returns {String}
+ */
+const getSampleFile = (action, operation) => {
+  const filename = getActionFilename(action, operation).replace(/\.js$/, '.json');
+
+  return path.resolve(process.cwd(), getConfig().samples.directory, getActionDirectory(action), filename);
+}
+
+
+/**
+ * Gets the sample of an action, which is the sample recorded for it, if any, or the sample created
+ * from its output fields.  A recorded sample whose keys no longer match the output fields, such as
+ * after a schema change, is stale, so the created sample is used until it's recorded again.
+ *
+ * @param {String} action
+ * @param {String} operation
+ * @param {Object} createdSample
+ *
+ * @returns {Object}
+ */
+const getSample = (action, operation, createdSample) => {
+  const file = getSampleFile(action, operation);
+  if (!fs.existsSync(file)) {
+    return createdSample;
+  }
+
+  let recordedSample;
+  try {
+    recordedSample = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Unable to parse the recorded sample "${path.relative(process.cwd(), file)}": ${e.message}`);
+  }
+
+  const getKeys = (sample) => Object.keys(sample).sort().join(',');
+  if (getKeys(recordedSample) !== getKeys(createdSample)) {
+    console.log(`The recorded sample "${path.relative(process.cwd(), file)}" doesn't match the output fields of the `
+      + `"${operation}" ${action}, so it isn't used.  Run "zapier-graphql samples record ${operation}" to record it again.`);
+
+    return createdSample;
+  }
+
+  return recordedSample;
+}
+
+
+/**
+ * Redacts the values of the sensitive keys in a sample, and everything nested under them.  Keys
+ * are matched case-insensitively when they contain any of the redacted keys.  The values keep
+ * their type, so they still pass the type assertions of the generated tests.
+ *
+ * @param {*} value
+ * @param {Array<String>} keys
+ * @param {Boolean} redact    Whether the value is under a redacted key
+ *
+ * @returns {*}
+ */
+const redactSample = (value, keys, redact = false) => {
+  if (Array.isArray(value)) {
+    return value.map(item => redactSample(item, keys, redact));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      const redactKey = redact || keys.some(redactedKey => key.toLowerCase().includes(redactedKey.toLowerCase()));
+
+      return [key, redactSample(item, keys, redactKey)];
+    }));
+  }
+
+  if (!redact || value === null) {
+    return value;
+  }
+
+  switch (typeof value) {
+    case 'string':
+      return '[redacted]';
+    case 'number':
+      return 0;
+    case 'boolean':
+      return false;
+    default:
+      return value;
+  }
+}
+
+
+/**
+ * Gets the node type of a Relay style connection type, which has "edges { node }" and "pageInfo"
+ * fields.
+ *
+ * @param {Object} type
+ *
+ * @returns {{nodeType: GraphQLObjectType, pageInfoFields: Array<String>}|null}   Null if not a connection
+ */
+const getConnectionDetails = (type) => {
+  if (!(type instanceof GraphQLObjectType)) {
+    return null;
+  }
+
+  const { edges, pageInfo } = type.getFields();
+  if (!edges || !pageInfo) {
+    return null;
+  }
+
+  const edgeType = getTypeDetails(edges.type).type;
+  if (!(edgeType instanceof GraphQLObjectType) || !edgeType.getFields().node) {
+    return null;
+  }
+
+  const pageInfoType = getTypeDetails(pageInfo.type).type;
+  const pageInfoFields = ['hasNextPage', 'endCursor'].filter((f) => {
+    return pageInfoType instanceof GraphQLObjectType && pageInfoType.getFields()[f];
+  });
+
+  return {
+    nodeType: getTypeDetails(edgeType.getFields().node.type).type,
+    pageInfoFields,
+  };
+}
+
+
+/**
+ * Determines how a list query can be paginated, based on the configured pagination arguments.
+ * Connections are paginated with a cursor, stored with "z.cursor", and other lists with an offset.
+ *
+ * @param {import('graphql').GraphQLField} definition
+ * @param {Boolean} isConnection
+ *
+ * @returns {{style: 'cursor'|'offset', args: Object}|null}   Null if it can't be paginated
+ */
+const getPaginationDetails = (definition, isConnection) => {
+  const { pageSize, arguments: paginationArgs } = getConfig().pagination;
+  const argNames = definition.args.map(arg => arg.name);
+
+  if (isConnection && argNames.includes(paginationArgs.after)) {
+    return {
+      style: 'cursor',
+      args: {
+        [paginationArgs.after]: 'bundle.meta?.page ? await z.cursor.get() : undefined',
+        ...(argNames.includes(paginationArgs.first) && {[paginationArgs.first]: pageSize}),
+      },
+    };
+  }
+
+  // Without a limit, the page size is up to the API, so the offset of the next page isn't known
+  if (argNames.includes(paginationArgs.offset) && argNames.includes(paginationArgs.limit)) {
+    return {
+      style: 'offset',
+      args: {
+        [paginationArgs.offset]: `(bundle.meta?.page ?? 0) * ${pageSize}`,
+        [paginationArgs.limit]: pageSize,
+      },
+    };
+  }
+
+  return null;
+}
+
+
+/**
+ * Guesses the output field that best labels a result, the first of the common "name" like fields.
+ *
+ * @param {Array<OutputField>} outputFields
+ *
+ * @returns {String}
+ */
+const guessLabelField = (outputFields) => {
+  const keys = outputFields.map(field => field.key);
+
+  return ['name', 'title', 'displayName', 'label', 'username', 'login', 'email', 'id']
+    .find(key => keys.includes(key)) ?? keys[0];
+}
+
+
+/**
+ * Gets the type of the results of a query, unwrapping lists and connections.
+ *
+ * @param {import('graphql').GraphQLField} definition
+ *
+ * @returns {{type: Object, isList: Boolean}}
+ */
+const getResultType = (definition) => {
+  const typeDetails = getTypeDetails(definition.type);
+  const connection = getConnectionDetails(typeDetails.type);
+
+  return {
+    type: connection ? connection.nodeType : typeDetails.type,
+    isList: typeDetails.isList || !!connection,
+  };
+}
+
+
+/**
+ * Gets the dynamic dropdown details of the input fields, keyed by the input field key.  These are
+ * configured in the "dynamicFields" config, or matched by name ("contactId" or "contact_ids") to a
+ * registered trigger listing the type.  If there isn't a registered trigger, the query that could
+ * be scaffolded as one is included as the "missingTrigger".
+ *
+ * @param {Array<InputField>} inputFields
+ *
+ * @returns {Promise<Object<String, {dynamic: String|null, search: String|null, missingTrigger: String|null}>>}
+ */
+const getDynamicFields = async (inputFields) => {
+  const schema = await getSchema();
+  const queries = schema.getQueryType()?.getFields() ?? {};
+  const registered = getRegisteredActions();
+  const { dynamicFields } = getConfig();
+
+  // Hook triggers can't be used for dropdowns, since they don't poll
+  const triggers = registered.trigger.filter(key => key in queries && !key.endsWith('Hook'));
+  const searches = registered.search.filter(key => key in queries);
+
+  let details = {};
+  for (const field of inputFields) {
+    const name = field.key.split('__').pop();
+    const configured = dynamicFields[field.key] ?? dynamicFields[name];
+    if (configured === false) {
+      continue;
+    }
+
+    if (configured) {
+      const triggerQuery = parseActionKey(configured.trigger).operation;
+      const label = configured.label ?? (triggerQuery in queries
+        ? guessLabelField(getOutputFields(schema, getResultType(queries[triggerQuery]).type))
+        : null);
+
+      details[field.key] = {
+        dynamic: [configured.trigger, configured.value ?? 'id', label].filter(Boolean).join('.'),
+        search: configured.search ? `${configured.search}.${configured.value ?? 'id'}` : null,
+        missingTrigger: null,
+      };
+
+      continue;
+    }
+
+    const match = name.match(/^(.+?)_?(?:id|Id|ID)s?$/);
+    const type = match && schema.getType(inflection.camelize(match[1]));
+    if (!(type instanceof GraphQLObjectType)) {
+      continue;
+    }
+
+    const listsType = (query, isList = true) => {
+      const resultType = getResultType(queries[query]);
+      return resultType.type.name === type.name && (!isList || resultType.isList);
+    }
+
+    const trigger = triggers.find(key => listsType(key));
+    const search = searches.find(key => listsType(key, false));
+
+    if (trigger) {
+      details[field.key] = {
+        dynamic: `${getActionKey(trigger)}.id.${guessLabelField(getOutputFields(schema, type))}`,
+        search: search ? `${getActionKey(search)}.id` : null,
+        missingTrigger: null,
+      };
+
+      continue;
+    }
+
+    const missingTrigger = Object.values(queries).find((query) => {
+      return listsType(query.name) && !query.args.some(arg => arg.type instanceof GraphQLNonNull);
+    });
+
+    if (missingTrigger) {
+      details[field.key] = { dynamic: null, search: null, missingTrigger: missingTrigger.name };
+    }
+  }
+
+  return details;
+}
+
+
+/**
+ * Sets the dynamic dropdown details on the input fields that reference other types.
+ *
+ * @param {Array<InputField>} inputFields
+ *
+ * @returns {Promise<Array<InputField>>}
+ */
+const applyDynamicFields = async (inputFields) => {
+  const dynamicFields = await getDynamicFields(inputFields);
+
+  for (const field of inputFields) {
+    if (dynamicFields[field.key]?.dynamic) {
+      field.dynamic = dynamicFields[field.key].dynamic;
+      field.search = dynamicFields[field.key].search ?? undefined;
+    }
+  }
+
+  return inputFields;
+}
+
+
+/**
+ * Gets the queries that could be scaffolded as triggers for the dynamic dropdowns of an action's
+ * input fields, since they aren't registered yet.
+ *
+ * @param {String} action     Zapier action type, either "trigger", "search", or "create"
+ * @param {String} operation  The GraphQL query or mutation field name
+ *
+ * @returns {Promise<Array<{field: String, query: String}>>}
+ */
+const getMissingDynamicTriggers = async (action, operation) => {
+  const definition = action === 'create'
+    ? await getMutationDefinition(operation)
+    : await getQueryDefinition(operation);
+
+  const dynamicFields = await getDynamicFields(getInputFieldsFlattened(definition.args));
+
+  return Object.entries(dynamicFields)
+    .filter(([field, details]) => details.missingTrigger)
+    .map(([field, details]) => ({ field, query: details.missingTrigger }));
+}
+
+
+/**
+ * Gets the object field of a mutation payload type, when it's the payload's only field besides
+ * the configured user errors, e.g. "contact" of an "UpdateContactPayload".  That object is what
+ * the mutation creates, rather than the payload.
+ *
+ * @param {Object} type
+ *
+ * @returns {import('graphql').GraphQLField|null}
+ */
+const getPayloadField = (type) => {
+  if (typeof type.getFields !== 'function') {
+    return null;
+  }
+
+  const userErrorKeys = getConfig().errors.userErrors.map(userErrorPath => userErrorPath.split('.')[0]);
+  const fields = Object.values(type.getFields())
+    .filter(field => !userErrorKeys.includes(field.name) && !isDeprecationExcluded(field));
+  if (fields.length !== 1) {
+    return null;
+  }
+
+  const typeDetails = getTypeDetails(fields[0].type, fields[0].name);
+  const isObject = typeof typeDetails.type.getFields === 'function' || isAbstractType(typeDetails.type);
+
+  return isObject && !typeDetails.isList ? fields[0] : null;
+}
+
+
+/**
+ * Gets the details of an operation that its action file is generated from, which are shared with
+ * getActionFields(), so the fields compared by "diff" are the ones "update" generates.
+ *
+ * Connections are unwrapped, so their nodes are treated as a list of the node type, and mutation
+ * payloads of a single object are unwrapped to the object, see getPayloadField().  Only triggers
+ * are paginated, in which case the pagination arguments are left out of the input field
+ * arguments, and hook triggers don't take any input.
+ *
+ * @param {GraphQLSchema} schema
+ * @param {String} action     Zapier action type, either "trigger", "hook", "search", or "create"
+ * @param {String} operation  The GraphQL query, mutation or subscription field name
+ * @param {import('graphql').GraphQLField} definition
+ *
+ * @returns {{typeDetails: Object, connection: Object|null, payloadField: import('graphql').GraphQLField|null, type: Object, isList: Boolean, pagination: Object|null, operationArgs: Array, args: Array, outputDepth: Number, outputFields: Array<OutputField>}}
+ */
+const getActionDetails = (schema, action, operation, definition) => {
+  const typeDetails = getTypeDetails(definition.type);
+  const connection = action !== 'create' ? getConnectionDetails(typeDetails.type) : null;
+  const payloadField = action === 'create' && !typeDetails.isList ? getPayloadField(typeDetails.type) : null;
+  const type = connection?.nodeType ?? (payloadField ? getTypeDetails(payloadField.type).type : typeDetails.type);
+  const isList = typeDetails.isList || !!connection;
+
+  const pagination = action === 'trigger' && isList
+    ? getPaginationDetails(definition, !!connection)
+    : null;
+  const operationArgs = action === 'hook'
+    ? []
+    : getOperationArguments(operation, definition.args, Object.keys(pagination?.args ?? {}));
+  const args = operationArgs.filter(arg => !pagination || !(arg.name in pagination.args));
+
+  // User errors are left out of a mutation's result by executeOperation(), so they aren't output fields
+  const outputDepth = getOutputDepth(operation);
+  const outputFields = getOutputFields(schema, type, false, outputDepth);
+
+  return {
+    typeDetails,
+    connection,
+    payloadField,
+    type,
+    isList,
+    pagination,
+    operationArgs,
+    args,
+    outputDepth,
+    outputFields: applyOutputFieldOverrides(
+      operation,
+      action === 'create' ? omitUserErrorFields(outputFields) : outputFields,
+    ),
+  };
+}
+
+
 /**
  * Gets the content for a query action file.
  *
@@ -776,76 +2235,75 @@ const getQueryActionContent = async (action, query) => {
     throw new Error(`Must be 'trigger' or 'search', not "${action}"`);
   }
 
-  const definition = await getQueryDefinition(query);
-  const typeDetails = getTypeDetails(definition.type);
-  const inputFields = getInputFieldsFlattened(definition.args);
-  const outputFields = getOutputFields(typeDetails.type);
-
-  const samples = createSamples(outputFields);
-  const gql = indentString(buildGQL(
-    'query',
-    query,
-    getInputFields(definition.args, true),
-    getOutputFields(typeDetails.type, true)
-  ), 6);
-
-  const label = typeDetails.isList
-    ? `Finds ${inflection.pluralize(typeDetails.type.name)}`
-    : `Find ${typeDetails.type.name}`;
-
-  const description = typeDetails.isList
-    ? action === 'trigger' ? `Triggers when performing lookup for ${inflection.pluralize(typeDetails.type.name)}` : definition.description
-    : action === 'trigger' ? `Triggers when performing lookup for a ${inflection.pluralize(typeDetails.type.name)}` : definition.description;
-
-  const idMapping = getConfig().idMap[typeDetails.type.name]
-    ? `
-  // Will handle the id mapping to a new "id" field for Zapier compatibility
-  response.data.data.${query} = response.data.data.${query}.map(r => ({...r, id: r.${getConfig().idMap[typeDetails.type.name]}}));
-    `
-    : '';
+  const schema = await getSchema();
+  const definition = await getQueryDefinition(query, schema);
+  const {
+    connection,
+    type,
+    isList,
+    pagination,
+    operationArgs,
+    args,
+    outputDepth,
+    outputFields,
+  } = getActionDetails(schema, action, query, definition);
+
+  const inputFields = applyInputFieldOverrides(query, await applyDynamicFields(getInputFieldsFlattened(args)));
+  const gqlOutputFields = getOutputFields(schema, type, true, outputDepth);
+
+  const samples = getSample(action, query, nestSamples(createSamples(outputFields), gqlOutputFields));
+  const execution = buildExecuteOperation({
+    document: buildGQL('query', query, operationArgs, gqlOutputFields, connection?.pageInfoFields),
+    variables: buildVariables(getInputFields(args, true), pagination?.args),
+    operation: query,
+    connection: !!connection,
+    cursor: pagination?.style === 'cursor',
+    idMap: getIdMapPaths(schema, type, outputDepth),
+    list: true,
+  });
+
+  const operationConfig = getOperationConfig(query);
+  const label = operationConfig.label ?? (isList
+    ? `Finds ${inflection.pluralize(type.name)}`
+    : `Find ${type.name}`);
+
+  const description = operationConfig.description ?? (isList
+    ? action === 'trigger' ? `Triggers when performing lookup for ${inflection.pluralize(type.name)}` : definition.description ?? `Finds ${inflection.pluralize(type.name)}`
+    : action === 'trigger' ? `Triggers when performing lookup for a ${inflection.pluralize(type.name)}` : definition.description ?? `Finds a ${type.name}`);
 
   const contents =
 `/**
- * ${query} query
+ * ${query} query${getEndpointNote()}
  * This file was auto-generated by zapier-graphql.
  */
 
 'use strict';
 
-const { getConfig } = require('zapier-graphql');
-const { quote } = require('zapier-graphql/lib/utils');
+const { executeOperation } = require('zapier-graphql/lib/utils');
 
 // Executes the ${query} query at runtime
 const perform = async (z, bundle) => {
   ${inputFields.length ? 'const inputData = bundle.inputData;' : ''}
-  const response = await z.request({
-    url: process.env.${getConfig().request.urlEnvVar},
-    method: 'POST',
-    headers: getConfig().request.headers,
-    json: {
-      query: \`${gql}\`,
-    }
-  });
-  ${idMapping}
+
   // This should return an array of objects
-  return ${typeDetails.isList ? `response.data.data.${query}` : `[response.data.data.${query}]`};
+  return ${execution};
 };
 
 
 // For a full list of available properties, see:
 // https://github.com/zapier/zapier-platform/blob/main/packages/schema/docs/build/schema.md#searchschema
 module.exports = {
-  key: '${definition.name}',
-  noun: '${typeDetails.type.name}',
+  key: ${JSON5.stringify(getActionKey(query))},
+  noun: ${JSON5.stringify(operationConfig.noun ?? type.name)},
 
   display: {
-    label: '${label}',
-    description: \`${description}\`,
+    label: ${JSON5.stringify(label)},
+    description: ${JSON5.stringify(description)},
   },
 
   operation: {
     perform,
-
+${pagination ? '\n    canPaginate: true,\n' : ''}
     inputFields: ${indentString(JSON5.stringify(inputFields, null, 2), 4)},
 
     sample: ${stringifyObject(samples, 6)},
@@ -867,67 +2325,70 @@ module.exports = {
  * @returns {Promise<String>}   Mutation file contents
  */
 const getMutationActionContent = async (mutation) => {
-  const definition = await getMutationDefinition(mutation);
+  const schema = await getSchema();
+  const definition = await getMutationDefinition(mutation, schema);
+  const {
+    typeDetails,
+    payloadField,
+    type,
+    isList,
+    args,
+    outputDepth,
+    outputFields,
+  } = getActionDetails(schema, 'create', mutation, definition);
+  const inputFields = applyInputFieldOverrides(mutation, await applyDynamicFields(getInputFieldsFlattened(args)));
+
+  // User errors in the payload are selected too, so they can be thrown at runtime
+  const userErrorFields = getUserErrorFields(schema, typeDetails.type);
+  const gqlOutputFields = getOutputFields(schema, type, true, outputDepth)
+    .filter(field => payloadField || !userErrorFields.some(userError => userError.key === field.key));
+  const samples = getSample('create', mutation, nestSamples(createSamples(outputFields), gqlOutputFields));
+
+  // The object of a payload is selected within it, and its result is the object
+  const payloadGqlOutputFields = payloadField
+    ? [new OutputField({ key: payloadField.name, label: inflectLabel(payloadField.name), children: gqlOutputFields })]
+    : gqlOutputFields;
+  const execution = buildExecuteOperation({
+    document: buildGQL('mutation', mutation, args, [...payloadGqlOutputFields, ...userErrorFields]),
+    variables: buildVariables(getInputFields(args, true)),
+    operation: mutation,
+    resultPath: payloadField ? `${mutation}.${payloadField.name}` : null,
+    idMap: getIdMapPaths(schema, type, outputDepth),
+  });
 
-  const typeDetails = getTypeDetails(definition.type);
-  const inputFields = getInputFieldsFlattened(definition.args);
-  const outputFields = getOutputFields(typeDetails.type);
-  const samples = createSamples(outputFields);
-  const gql = indentString(buildGQL(
-    'mutation',
-    mutation,
-    getInputFields(definition.args, true),
-    getOutputFields(typeDetails.type, true)
-  ), 6);
-
-  const label = typeDetails.isList
-    ? `Creates multiple ${inflection.pluralize(typeDetails.type.name)}`
-    : `Create ${typeDetails.type.name}`;
-
-  const idMapping = getConfig().idMap[typeDetails.type.name]
-    ? `
-  // Will handle the id mapping to a new "id" field for Zapier compatibility
-  response.data.data.${mutation} = response.data.data.${mutation}.map(r => ({...r, id: r.${getConfig().idMap[typeDetails.type.name]}}));
-    `
-    : '';
+  const operationConfig = getOperationConfig(mutation);
+  const label = operationConfig.label ?? (isList
+    ? `Creates multiple ${inflection.pluralize(type.name)}`
+    : `Create ${type.name}`);
 
   const contents =
 `/**
- * ${mutation} mutation
+ * ${mutation} mutation${getEndpointNote()}
  * This file was auto-generated by zapier-graphql.
  */
 
 'use strict';
 
-const { getConfig } = require('zapier-graphql');
-const { quote } = require('zapier-graphql/lib/utils');
+const { executeOperation } = require('zapier-graphql/lib/utils');
 
 // Executes the ${mutation} mutation at runtime
 const perform = async (z, bundle) => {
   ${inputFields.length ? 'const inputData = bundle.inputData;' : ''}
-  const response = await z.request({
-    url: process.env.${getConfig().request.urlEnvVar},
-    method: 'POST',
-    headers: getConfig().request.headers,
-    json: {
-      query: \`${gql}\`,
-    }
-  });
-  ${idMapping}
+
   // This should return a single object
-  return response.data.data.${mutation};
+  return ${execution};
 };
 
 
 // For a full list of available properties, see:
 // https://github.com/zapier/zapier-platform/blob/main/packages/schema/docs/build/schema.md#searchschema
 module.exports = {
-  key: '${definition.name}',
-  noun: '${typeDetails.type.name}',
+  key: ${JSON5.stringify(getActionKey(mutation))},
+  noun: ${JSON5.stringify(operationConfig.noun ?? type.name)},
 
   display: {
-    label: '${label}',
-    description: \`${definition.description}\`,
+    label: ${JSON5.stringify(label)},
+    description: ${JSON5.stringify(operationConfig.description ?? definition.description ?? `Performs the ${inflectLabel(mutation)} mutation`)},
   },
 
   operation: {
@@ -947,292 +2408,1844 @@ module.exports = {
 
 
 /**
- * Creates an action file (create, trigger, search) from a query or mutation.
+ * Leaves out the flattened output fields of the configured user error paths (e.g. "userErrors"),
+ * which executeOperation() leaves out of the result.
  *
- * @param {String} action     Zapier action type, either "trigger", "search", or "create"
- * @param {String} operation  The GraphQL query or mutation field name
+ * @param {Array<OutputField>} fields
  *
- * @returns {Promise<{file: String, contents: String}>}   Action file contents
+ * @returns {Array<OutputField>}
  */
-const createActionFile = async (action, operation) => {
-  if (!['trigger', 'search', 'create'].includes(action)) {
-    throw new Error(`Must be 'trigger', 'search', or 'create', not "${action}"`);
-  }
-
-  if (action === 'create') {
-    var definition = await getMutationDefinition(operation);
-    var contents = await getMutationActionContent(operation);
-  } else {
-    var definition = await getQueryDefinition(operation);
-    var contents = await getQueryActionContent(action, operation);
-  }
-
-  const filename = inflection.dasherize(inflection.underscore(definition.name)) + '.js';
+const omitUserErrorFields = (fields) => {
+  const paths = getConfig().errors.userErrors.map(userErrorPath => userErrorPath.split('.'));
 
-  console.log(`Creating ${operation} action file: ${inflection.pluralize(action)}/${filename}`);
-
-  fs.mkdirSync(`${process.cwd()}/${inflection.pluralize(action)}/`, { recursive: true });
-  const file = `${process.cwd()}/${inflection.pluralize(action)}/${filename}`;
-  fs.writeFileSync(file, contents);
+  return fields.filter((field) => {
+    const keys = field.key.split(/__|\[\]/);
 
-  return { file, contents };
+    return !paths.some(userErrorPath => userErrorPath.every((key, index) => keys[index] === key));
+  });
 }
 
 
 /**
- * Creates the test file for the operation
+ * Builds the GQL output fields selecting a type's configured user error paths (e.g. "userErrors"),
+ * so they're in the response to be thrown at runtime.  Paths the type doesn't have are skipped.
  *
- * @param {String} action     Zapier action type, either "trigger", "search", or "create"
- * @param {String} operation  The GraphQL query or mutation field name
+ * @param {GraphQLSchema} schema
+ * @param {GraphQLObjectType} type
  *
- * @returns {Promise<{file: String, contents: String}>}   Test file contents
+ * @returns {Array<OutputField>}
  */
-const createTestFile = async (action, operation) => {
-  if (!['trigger', 'search', 'create'].includes(action)) {
-    throw new Error(`Must be 'trigger', 'search', or 'create', not "${action}"`);
-  }
-
-  if (action === 'create') {
-    var queryOrMutation = 'mutation';
+const getUserErrorFields = (schema, type) => {
+  /**
+   * @param {Object} parentType
+   * @param {Array<String>} path
+   *
+   * @returns {OutputField|null}
+   */
+  const getUserErrorField = (parentType, [key, ...rest]) => {
+    const field = typeof parentType.getFields === 'function' ? parentType.getFields()[key] : null;
+    if (!field) {
+      return null;
+    }
+
+    const typeDetails = getTypeDetails(field.type, field.name);
+    const isComposite = typeof typeDetails.type.getFields === 'function' || isAbstractType(typeDetails.type);
+    if (rest.length && !isComposite) {
+      return null;
+    }
+
+    const children = rest.length
+      ? [getUserErrorField(typeDetails.type, rest)].filter(Boolean)
+      : isComposite ? getOutputFields(schema, typeDetails.type, true) : [];
+
+    if (rest.length && !children.length) {
+      return null;
+    }
+
+    return new OutputField({
+      key,
+      label: inflectLabel(key),
+      list: typeDetails.isList,
+      ...(children.length && {children}),
+    });
+  }
+
+  return getConfig().errors.userErrors
+    .map(path => getUserErrorField(type, path.split('.')))
+    .filter(Boolean);
+}
+
+
+/**
+ * Builds a javascript expression from a config value that may contain "{{...}}" placeholders.
+ * Placeholders starting with "bundle." are resolved at runtime from the Zapier bundle, while any
+ * other placeholders are replaced at generation time.
+ *
+ * @param {*} value
+ * @param {Object} replacements   Generation time placeholder values
+ *
+ * @returns {String}
+ */
+const buildTemplateExpression = (value, replacements = {}) => {
+  if (typeof value !== 'string') {
+    return JSON.stringify(value);
+  }
+
+  const parts = value.split(/({{\s*[\w.]+\s*}})/).filter(part => part !== '');
+  const expressions = parts.map((part) => {
+    const placeholder = part.match(/^{{\s*([\w.]+)\s*}}$/)?.[1];
+    if (!placeholder) {
+      return { literal: part };
+    }
+
+    if (placeholder in replacements) {
+      return { literal: String(replacements[placeholder]) };
+    }
+
+    if (placeholder.startsWith('bundle.')) {
+      return { expression: placeholder.replaceAll('.', '?.').replace('bundle?.', 'bundle.') };
+    }
+
+    throw new Error(`Unknown placeholder "${part}" in "${value}"`);
+  });
+
+  if (expressions.length === 1) {
+    return expressions[0].expression ?? JSON.stringify(expressions[0].literal);
+  }
+
+  return '`' + expressions.map(({ literal, expression }) => expression
+    ? '${' + expression + '}'
+    : literal.replace(/[`\\]/g, '\\$&').replaceAll('${', '\\${')
+  ).join('') + '`';
+}
+
+
+/**
+ * Gets the definition of an operation that can be scaffolded as a hook trigger, which is either
+ * a subscription or a query.
+ *
+ * @param {String} operation
+ * @param {GraphQLSchema|null} schema   Defaults to the schema of the current endpoint
+ *
+ * @returns {Promise<{definition: import('graphql').GraphQLField, kind: 'subscription'|'query'}>}
+ */
+const getHookDefinition = async (operation, schema = null) => {
+  schema ??= await getSchema();
+
+  const subscription = schema.getSubscriptionType()?.getFields()[operation];
+  if (subscription) {
+    return { definition: subscription, kind: 'subscription' };
+  }
+
+  const query = schema.getQueryType()?.getFields()[operation];
+  if (query) {
+    return { definition: query, kind: 'query' };
+  }
+
+  throw new Error(`Subscription or query "${operation}" does not exist`);
+}
+
+
+/**
+ * Gets the content for a REST hook trigger action file.  Zapier subscribes and unsubscribes the
+ * webhook with the configured mutations, and the payload is parsed into the operation's type.
+ *
+ * @param {String} operation    The GraphQL subscription or query field name
+ *
+ * @returns {Promise<String>}   Hook trigger file contents
+ */
+const getHookTriggerActionContent = async (operation) => {
+  const { subscribe, unsubscribe, fallbackQueries } = getConfig().hooks;
+  if (!subscribe.mutation || !unsubscribe.mutation) {
+    throw new Error('Hook triggers require the "hooks.subscribe" and "hooks.unsubscribe" mutations to be configured');
+  }
+
+  const schema = await getSchema();
+  const { definition, kind } = await getHookDefinition(operation, schema);
+  const { connection, type, outputDepth, outputFields } = getActionDetails(schema, 'hook', operation, definition);
+  const gqlOutputFields = getOutputFields(schema, type, true, outputDepth);
+  const samples = getSample('hook', operation, nestSamples(createSamples(outputFields), gqlOutputFields));
+
+  // The fields selected from a union or interface's inline fragments are output keys too
+  const outputKeys = [...new Set(gqlOutputFields.flatMap((field) => {
+    return field.key.startsWith('... on ') ? field.children.map(child => child.key) : [field.key];
+  }))];
+
+  // The subscription document is available to the subscribe mutation arguments as "{{document}}"
+  const replacements = {
+    operation,
+    document: buildGQL(kind, operation, [], gqlOutputFields, connection?.pageInfoFields),
+  };
+
+  /**
+   * Builds the executeOperation() call for one of the subscribe/unsubscribe mutations.
+   *
+   * @param {{mutation: String, arguments: Object}} hookMutation
+   */
+  const buildHookMutation = async (hookMutation) => {
+    const mutationDefinition = await getMutationDefinition(hookMutation.mutation, schema);
+    const args = mutationDefinition.args.filter(arg => arg.name in hookMutation.arguments);
+
+    const missingArgs = mutationDefinition.args.filter((arg) => {
+      return arg.type instanceof GraphQLNonNull && !(arg.name in hookMutation.arguments);
+    });
+    if (missingArgs.length) {
+      throw new Error(`Missing required arguments for the "${hookMutation.mutation}" hook mutation: ${missingArgs.map(arg => arg.name).join(', ')}`);
+    }
+    const mutationType = getTypeDetails(mutationDefinition.type).type;
+
+    return buildExecuteOperation({
+      document: buildGQL(
+        'mutation',
+        hookMutation.mutation,
+        args,
+        typeof mutationType.getFields === 'function' ? getOutputFields(schema, mutationType, true) : [],
+      ),
+      variables: buildVariables([], Object.fromEntries(args.map((arg) => {
+        return [arg.name, buildTemplateExpression(hookMutation.arguments[arg.name], replacements)];
+      }))),
+      operation: hookMutation.mutation,
+    });
+  }
+
+  const subscribeMutation = await buildHookMutation(subscribe);
+  const unsubscribeMutation = await buildHookMutation(unsubscribe);
+
+  // The fallback query, for performList, defaults to the operation itself when it's a query
+  const fallbackQuery = fallbackQueries[operation] ?? (kind === 'query' ? operation : null);
+  if (!fallbackQuery) {
+    throw new Error(`No fallback query configured for the "${operation}" hook trigger in "hooks.fallbackQueries"`);
+  }
+
+  const fallbackDefinition = await getQueryDefinition(fallbackQuery, schema);
+  const fallbackTypeDetails = getTypeDetails(fallbackDefinition.type);
+  const fallbackConnection = getConnectionDetails(fallbackTypeDetails.type);
+  const fallbackType = fallbackConnection ? fallbackConnection.nodeType : fallbackTypeDetails.type;
+  if (fallbackType.name !== type.name) {
+    throw new Error(`Fallback query "${fallbackQuery}" must return "${type.name}", not "${fallbackType.name}"`);
+  }
+
+  if (fallbackDefinition.args.some(arg => arg.type instanceof GraphQLNonNull)) {
+    throw new Error(`Fallback query "${fallbackQuery}" cannot have required arguments`);
+  }
+
+  const idMap = getIdMapPaths(schema, type, outputDepth);
+  const fallbackExecution = buildExecuteOperation({
+    document: buildGQL('query', fallbackQuery, [], gqlOutputFields, fallbackConnection?.pageInfoFields),
+    operation: fallbackQuery,
+    connection: !!fallbackConnection,
+    idMap,
+    list: true,
+  });
+
+  const contents =
+`/**
+ * ${operation} ${kind} hook${getEndpointNote()}
+ * This file was auto-generated by zapier-graphql.
+ */
+
+'use strict';
+
+const { executeOperation, processResult } = require('zapier-graphql/lib/utils');
+
+// The output keys the webhook payload is parsed into
+const outputKeys = ${JSON5.stringify(outputKeys, null, 2)};
+
+// Subscribes the webhook with the ${subscribe.mutation} mutation, the result is stored in bundle.subscribeData
+const performSubscribe = async (z, bundle) => {
+  return ${subscribeMutation};
+};
+
+
+// Unsubscribes the webhook with the ${unsubscribe.mutation} mutation
+const performUnsubscribe = async (z, bundle) => {
+  return ${unsubscribeMutation};
+};
+
+
+// Parses the webhook payload, which may be a GraphQL response or the ${type.name} itself.  An empty
+// payload, such as a ping, or a null result doesn't trigger anything.
+const perform = async (z, bundle) => {
+  const payload = bundle.cleanedRequest?.data !== undefined
+    ? bundle.cleanedRequest.data?.${operation}
+    : bundle.cleanedRequest;
+  const results = (Array.isArray(payload) ? payload : [payload])
+    .filter(result => result && typeof result === 'object' && Object.keys(result).length)
+    .map(result => Object.fromEntries(outputKeys.map(key => [key, result[key] ?? null])));
+
+  // This should return an array of objects, with the ids mapped like executeOperation() results
+  return processResult(z, results, ${JSON5.stringify(Object.keys(idMap).length ? { idMap } : {})});
+};
+
+
+// Executes the ${fallbackQuery} query to provide samples when setting up the Zap
+const performList = async (z, bundle) => {
+  // This should return an array of objects
+  return ${fallbackExecution};
+};
+
+
+// For a full list of available properties, see:
+// https://github.com/zapier/zapier-platform/blob/main/packages/schema/docs/build/schema.md#basichookoperationschema
+module.exports = {
+  key: ${JSON5.stringify(`${getQualifiedName(definition.name)}Hook`)},
+  noun: ${JSON5.stringify(type.name)},
+
+  display: {
+    label: ${JSON5.stringify(`New ${inflectLabel(definition.name)}`)},
+    description: ${JSON5.stringify(definition.description ?? `Triggers instantly when ${inflectLabel(definition.name).toLowerCase()} occurs`)},
+  },
+
+  operation: {
+    type: 'hook',
+
+    performSubscribe,
+    performUnsubscribe,
+    perform,
+    performList,
+
+    inputFields: [],
+
+    sample: ${stringifyObject(samples, 6)},
+
+    outputFields: ${indentString(JSON5.stringify(outputFields, null, 2), 4)},
+  }
+};
+`;
+
+  return contents;
+}
+
+
+/**
+ * The authentication types that can be scaffolded, mapped to the Zapier authentication type.
+ */
+const authenticationTypes = {
+  'api-key': 'custom',
+  'bearer': 'custom',
+  'oauth2': 'oauth2',
+  'session': 'session',
+  'basic': 'basic',
+};
+
+
+/**
+ * Gets the field of the connection test query's output used for the connection label, either
+ * from the config or guessed from the output fields.
+ *
+ * @param {Array<OutputField>} outputFields
+ *
+ * @returns {String}
+ */
+const getConnectionLabelField = (outputFields) => {
+  const { testQuery, connectionLabel } = getConfig().authentication;
+  const keys = outputFields.map(field => field.key);
+
+  if (connectionLabel) {
+    if (!keys.includes(connectionLabel)) {
+      throw new Error(`Connection label field "${connectionLabel}" is not an output field of the "${testQuery}" query`);
+    }
+
+    return connectionLabel;
+  }
+
+  return guessLabelField(outputFields);
+}
+
+
+/**
+ * Builds the authentication module contents for the type of authentication.  The connection
+ * test runs the configured "viewer" like query, through the same request path as the actions.
+ *
+ * @param {String} type   One of "api-key", "bearer", "oauth2", "session" or "basic"
+ *
+ * @returns {Promise<String>}   Authentication file contents
+ */
+const getAuthenticationContent = async (type) => {
+  if (!(type in authenticationTypes)) {
+    throw new Error(`Must be one of ${Object.keys(authenticationTypes).map(t => `'${t}'`).join(', ')}, not "${type}"`);
+  }
+
+  const { authentication } = getConfig();
+
+  const schema = await getSchema();
+  const definition = await getQueryDefinition(authentication.testQuery, schema);
+  if (definition.args.some(arg => arg.type instanceof GraphQLNonNull)) {
+    throw new Error(`Connection test query "${authentication.testQuery}" cannot have required arguments`);
+  }
+
+  const typeDetails = getTypeDetails(definition.type);
+  if (typeDetails.isList || typeof typeDetails.type.getFields !== 'function') {
+    throw new Error(`Connection test query "${authentication.testQuery}" must return a single object`);
+  }
+
+  const testExecution = buildExecuteOperation({
+    document: buildGQL('query', authentication.testQuery, [], getOutputFields(schema, typeDetails.type, true)),
+    operation: authentication.testQuery,
+  });
+  const labelField = getConnectionLabelField(getOutputFields(schema, typeDetails.type));
+
+  let fields = [];
+  let beforeRequest = '';
+  let afterResponse = '';
+  let extraConfig = '';
+  let functions = '';
+
+  if (type === 'api-key') {
+    fields = [{ key: 'apiKey', label: 'API Key', type: 'password', required: true }];
+    beforeRequest = `if (bundle.authData.apiKey) {
+    request.headers[${JSON5.stringify(authentication.apiKeyHeader)}] = bundle.authData.apiKey;
+  }`;
+  }
+
+  if (type === 'bearer') {
+    fields = [{ key: 'accessToken', label: 'Access Token', type: 'password', required: true }];
+    beforeRequest = `if (bundle.authData.accessToken) {
+    request.headers.Authorization = \`Bearer \${bundle.authData.accessToken}\`;
+  }`;
+  }
+
+  if (type === 'oauth2') {
+    const { authorizeUrl, accessTokenUrl, scope } = authentication.oauth2;
+    if (!authorizeUrl || !accessTokenUrl) {
+      throw new Error('OAuth2 authentication requires the "authentication.oauth2" authorizeUrl and accessTokenUrl to be configured');
+    }
+
+    beforeRequest = `if (bundle.authData.access_token) {
+    request.headers.Authorization = \`Bearer \${bundle.authData.access_token}\`;
+  }`;
+    extraConfig = `
+    oauth2Config: {
+      authorizeUrl: {
+        url: ${JSON5.stringify(authorizeUrl)},
+        params: {
+          client_id: '{{process.env.CLIENT_ID}}',
+          state: '{{bundle.inputData.state}}',
+          redirect_uri: '{{bundle.inputData.redirect_uri}}',
+          response_type: 'code',
+        },
+      },
+      getAccessToken: {
+        url: ${JSON5.stringify(accessTokenUrl)},
+        method: 'POST',
+        body: {
+          code: '{{bundle.inputData.code}}',
+          client_id: '{{process.env.CLIENT_ID}}',
+          client_secret: '{{process.env.CLIENT_SECRET}}',
+          grant_type: 'authorization_code',
+          redirect_uri: '{{bundle.inputData.redirect_uri}}',
+        },
+      },
+      refreshAccessToken: {
+        url: ${JSON5.stringify(accessTokenUrl)},
+        method: 'POST',
+        body: {
+          refresh_token: '{{bundle.authData.refresh_token}}',
+          client_id: '{{process.env.CLIENT_ID}}',
+          client_secret: '{{process.env.CLIENT_SECRET}}',
+          grant_type: 'refresh_token',
+        },
+      },
+      ${scope ? `scope: ${JSON5.stringify(scope)},\n      ` : ''}autoRefresh: true,
+    },
+`;
+  }
+
+  if (type === 'session') {
+    const { sessionMutation } = authentication;
+    const sessionDefinition = await getMutationDefinition(sessionMutation, schema);
+    const sessionTypeDetails = getTypeDetails(sessionDefinition.type);
+
+    // The session key is the mutation's result, or the first token like field of it
+    let sessionKeyField = null;
+    if (typeof sessionTypeDetails.type.getFields === 'function') {
+      sessionKeyField = ['token', 'sessionKey', 'accessToken', 'key']
+        .find(key => key in sessionTypeDetails.type.getFields());
+
+      if (!sessionKeyField) {
+        throw new Error(`Unable to find the session key field of the "${sessionMutation}" mutation`);
+      }
+    }
+
+    fields = getInputFieldsFlattened(sessionDefinition.args).map(field => ({
+      key: field.key,
+      label: field.label,
+      type: /password|secret/i.test(field.key) ? 'password' : 'string',
+      required: field.required,
+    }));
+
+    const sessionExecution = buildExecuteOperation({
+      document: buildGQL(
+        'mutation',
+        sessionMutation,
+        sessionDefinition.args,
+        sessionKeyField ? [new OutputField({ key: sessionKeyField, label: inflectLabel(sessionKeyField) })] : [],
+      ),
+      variables: buildVariables(getInputFields(sessionDefinition.args, true)),
+      operation: sessionMutation,
+      resultPath: sessionKeyField ? `${sessionMutation}.${sessionKeyField}` : sessionMutation,
+    });
+
+    // The session key isn't available yet when it's being exchanged for
+    beforeRequest = `if (bundle.authData.sessionKey) {
+    request.headers.Authorization = \`Bearer \${bundle.authData.sessionKey}\`;
+  }`;
+    afterResponse = `if (response.status === 401) {
+    throw new z.errors.RefreshAuthError();
+  }`;
+    extraConfig = `
+    sessionConfig: {
+      perform: getSessionKey,
+    },
+`;
+    functions = `
+// Exchanges the credentials for a session key with the ${sessionMutation} mutation
+const getSessionKey = async (z, bundle) => {
+  const inputData = bundle.authData;
+  const sessionKey = await ${sessionExecution};
+
+  return { sessionKey };
+};
+
+`;
+  }
+
+  const contents =
+`/**
+ * ${type} authentication
+ * This file was auto-generated by zapier-graphql.
+ */
+
+'use strict';
+
+const { executeOperation } = require('zapier-graphql/lib/utils');
+${functions}
+// Tests the credentials by executing the ${authentication.testQuery} query
+const test = async (z, bundle) => {
+  return ${testExecution};
+};
+
+${beforeRequest ? `
+// Adds the credentials to every outbound request
+const includeCredentials = (request, z, bundle) => {
+  ${beforeRequest}
+
+  return request;
+};
+
+` : ''}${afterResponse ? `
+// Handles authentication failures for every response
+const handleAuthErrors = (response, z, bundle) => {
+  ${afterResponse}
+
+  return response;
+};
+
+` : ''}
+// For a full list of available properties, see:
+// https://github.com/zapier/zapier-platform/blob/main/packages/schema/docs/build/schema.md#authenticationschema
+module.exports = {
+  config: {
+    type: '${authenticationTypes[type]}',
+${extraConfig}
+    fields: ${indentString(JSON5.stringify(fields, null, 2), 4)},
+
+    test,
+
+    connectionLabel: ${JSON5.stringify(`{{${labelField}}}`)},
+  },
+
+  befores: [${beforeRequest ? 'includeCredentials' : ''}],
+  afters: [${afterResponse ? 'handleAuthErrors' : ''}],
+};
+`;
+
+  return contents;
+}
+
+
+/**
+ * Gets the directory, relative to the project root, for an action type.  Hook triggers are
+ * triggers too, so they share the same directory.
+ *
+ * @param {String} action     Zapier action type, either "trigger", "hook", "search", or "create"
+ *
+ * @returns {String}
+ */
+const getActionDirectory = (action) => {
+  return action === 'hook' ? 'triggers' : inflection.pluralize(action);
+}
+
+
+/**
+ * Gets the file name of the action file for an operation, prefixed with the current endpoint.
+ *
+ * @param {String} action     Zapier action type, either "trigger", "hook", "search", or "create"
+ * @param {String} operation  The GraphQL query, mutation or subscription field name
+ *
+ * @returns {String}
+ */
+const getActionFilename = (action, operation) => {
+  return (endpoint ? `${inflection.dasherize(inflection.underscore(endpoint))}-` : '')
+    + inflection.dasherize(inflection.underscore(operation))
+    + (action === 'hook' ? '-hook' : '')
+    + '.js';
+}
+
+
+/**
+ * Creates an action file (create, trigger, hook, search) from a query, mutation or subscription.
+ * For a dry run, the file isn't written, but compared with the file on disk instead.
+ *
+ * @param {String} action     Zapier action type, either "trigger", "hook", "search", or "create"
+ * @param {String} operation  The GraphQL query, mutation or subscription field name
+ * @param {Boolean} dryRun
+ *
+ * @returns {Promise<{file: String, contents: String, changed?: Boolean, diff?: String}>}   Action file contents
+ */
+const createActionFile = async (action, operation, dryRun = false) => {
+  if (!['trigger', 'hook', 'search', 'create'].includes(action)) {
+    throw new Error(`Must be 'trigger', 'hook', 'search', or 'create', not "${action}"`);
+  }
+
+  if (action === 'create') {
     var definition = await getMutationDefinition(operation);
+    var contents = await getMutationActionContent(operation);
+  } else if (action === 'hook') {
+    var { definition } = await getHookDefinition(operation);
+    var contents = await getHookTriggerActionContent(operation);
   } else {
-    var queryOrMutation = 'query';
     var definition = await getQueryDefinition(operation);
+    var contents = await getQueryActionContent(action, operation);
+  }
+
+  const directory = getActionDirectory(action);
+  const filename = getActionFilename(action, definition.name);
+  const file = `${process.cwd()}/${directory}/${filename}`;
+
+  if (dryRun) {
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const changed = current !== contents;
+    const diff = changed
+      ? createTwoFilesPatch(`${directory}/${filename}`, `${directory}/${filename}`, current, contents)
+      : '';
+
+    return { file, contents, changed, diff };
+  }
+
+  console.log(`Creating ${operation} action file: ${directory}/${filename}`);
+
+  fs.mkdirSync(`${process.cwd()}/${directory}/`, { recursive: true });
+  fs.writeFileSync(file, contents);
+
+  return { file, contents };
+}
+
+
+/**
+ * Creates the test file for the operation
+ *
+ * @param {String} action     Zapier action type, either "trigger", "search", or "create"
+ * @param {String} operation  The GraphQL query or mutation field name
+ *
+ * @returns {Promise<{file: String, contents: String}>}   Test file contents
+ */
+const createTestFile = async (action, operation) => {
+  if (!['trigger', 'hook', 'search', 'create'].includes(action)) {
+    throw new Error(`Must be 'trigger', 'hook', 'search', or 'create', not "${action}"`);
+  }
+
+  if (action === 'create') {
+    var queryOrMutation = 'mutation';
+    var definition = await getMutationDefinition(operation);
+  } else if (action === 'hook') {
+    var { definition, kind: queryOrMutation } = await getHookDefinition(operation);
+  } else {
+    var queryOrMutation = 'query';
+    var definition = await getQueryDefinition(operation);
+  }
+
+  // Hook triggers are tested with their performList fallback query, which doesn't take input
+  const key = action === 'hook' ? `${getQualifiedName(definition.name)}Hook` : getActionKey(operation);
+  const performFunction = action === 'hook' ? 'performList' : 'perform';
+  const directory = getActionDirectory(action);
+  const filename = getActionFilename(action, definition.name).replace(/\.js$/, '.test.js');
+
+  console.log(`Creating ${queryOrMutation} test file: test/${directory}/${filename}`);
+
+  const inputFields = action === 'hook'
+    ? []
+    : applyInputFieldOverrides(operation, getInputFieldsFlattened(getOperationArguments(operation, definition.args)));
+  // The children of an input object argument are read from the top level of the input data, so a
+  // required input object is sampled with its required fields
+  const samples = createSamples(inputFields.flatMap(field => field.children ?? [field]));
+
+  // Zapier stores the cursor of cursor-paginated triggers, which isn't available when testing
+  const { pagination } = getActionDetails(await getSchema(), action, operation, definition);
+  const perform = pagination?.style === 'cursor'
+    ? `const perform = (z, bundle) => App.${directory}.${key}.operation.${performFunction}(
+      { ...z, cursor: { get: async () => null, set: async () => null } },
+      bundle,
+    );
+    let results = await appTester(perform, bundle);`
+    : `let results = await appTester(App.${directory}.${key}.operation.${performFunction}, bundle);`;
+
+  // The test mode is chosen when the test runs, so the same test runs against the API, a mock
+  // server of the schema, or the API's responses recorded to fixtures
+  const testSetup = `
+  let testMode;
+
+  // Runs the ${queryOrMutation} against the API, a mock server of the schema, or the responses recorded to
+  // ${path.relative(process.cwd(), getHttpFixtureFile(action, operation))}, by the "testMode" config directive or the
+  // ZAPIER_GRAPHQL_TEST_MODE environment variable
+  beforeAll(async () => {
+    testMode = await startTestMode('${action}', '${operation}'${endpoint ? `, { endpoint: '${endpoint}' }` : ''});
+  });
+
+  afterAll(() => testMode.stop());
+`;
+
+  const contents =
+`/**
+ * ${inflection.capitalize(action)} ${operation} ${queryOrMutation}${getEndpointNote()}
+ * This file was auto-generated by zapier-graphql.
+ */
+
+'use strict';
+
+const zapier = require('zapier-platform-core');
+const { getConfig, startTestMode } = require('zapier-graphql');
+const { assertTypesFromSample } = require('zapier-graphql/lib/utils');
+
+const App = require('../../index');
+const appTester = zapier.createAppTester(App);
+
+// Read the '.env' file into the environment, if available
+zapier.tools.env.inject();
+
+describe('${definition.name} ${queryOrMutation}', () => {${testSetup}
+  it('should run', async () => {
+    const bundle = {
+      ...getConfig().testBundle,
+      inputData: ${indentString(JSON.stringify(samples, null, 2), 6)},
+    };
+
+    ${perform}
+    results = results instanceof Array ? results : [results];
+    expect(results.length).toBeGreaterThan(0);
+    const firstResult = results[0];
+
+    const sample = App.${directory}.${key}.operation.sample
+    expect(Object.keys(firstResult).length).toEqual(Object.keys(sample).length);
+    assertTypesFromSample(sample, firstResult);
+  });
+});
+`;
+
+  fs.mkdirSync(`${process.cwd()}/test/${directory}/`, { recursive: true });
+  const file = `${process.cwd()}/test/${directory}/${filename}`;
+  fs.writeFileSync(file, contents);
+
+  return { file, contents };
+}
+
+
+/**
+ * Creates the authentication module file for the type of authentication.
+ *
+ * @param {String} type   One of "api-key", "bearer", "oauth2", "session" or "basic"
+ *
+ * @returns {Promise<{file: String, contents: String}>}   Authentication file contents
+ */
+const createAuthenticationFile = async (type) => {
+  const contents = await getAuthenticationContent(type);
+
+  console.log(`Creating ${type} authentication file: authentication.js`);
+
+  const file = `${process.cwd()}/authentication.js`;
+  fs.writeFileSync(file, contents);
+
+  return { file, contents };
+}
+
+
+/**
+ * Creates the test file for the operation
+ *
+ * @param {String} urlEnvVar
+ *
+ * @returns {Promise<{file: String, contents: String}>}   Config file contents
+ */
+const createDefaultConfigFile = async (urlEnvVar) => {
+  if (!urlEnvVar) {
+    throw new Error('Missing URL environment variable parameter');
+  }
+
+  let contents = '';
+  try {
+      const filename = require.resolve('zapier-graphql/.zapiergraphql.sample');
+      contents = await fs.promises.readFile(filename, { encoding: 'utf8' });
+      contents = contents.replace('{{urlEnvVar}}', urlEnvVar);
+  } catch (e) {
+      throw new Error(e.message);
+  }
+
+  if (!contents) {
+    throw new Error('Unable to create config file');
+  }
+
+  const file = `${process.cwd()}/.zapiergraphql`;
+  await fs.writeFileSync(file, contents);
+
+  // Need to be sure to update the default Zapier config to include our config file in builds
+  const zapierConfigFile = `${process.cwd()}/.zapierapprc`;
+  const zapierConfig = JSON.parse(fs.readFileSync(zapierConfigFile, 'utf8'));
+  zapierConfig.includeInBuild = zapierConfig.includeInBuild || [];
+  zapierConfig.includeInBuild.push('.zapiergraphql');
+  await fs.writeFileSync(zapierConfigFile, JSON.stringify(zapierConfig, null, 2));
+
+  return { file, contents };
+}
+
+
+/**
+ * Creates or updates the query file and imports it into the main Zapier index.js, assigning
+ * it to the triggers object, if it doesn't already exist.
+ *
+ * @param {String} query
+ *
+ * @returns {Promise<{warning: String|null}>}   A warning for a deprecated operation, if any
+ */
+const addTriggerQuery = async (query) => {
+  const zapierApp = require(process.cwd() + '/index.js');
+
+  if (zapierApp.triggers[getActionKey(query)]) {
+    console.log(`Trigger "${query}" query already configured in Zapier index.js entry file`);
+    return { warning: null };
+  }
+
+  const warning = getDeprecationWarning(await getQueryDefinition(query));
+
+  const { file } = await createActionFile('trigger', query);
+  await createTestFile('trigger', query);
+
+  console.log(`Adding "${query}" query trigger to index.js`);
+  await updateEntryFile(
+    `./index.js`,
+    `${getQualifiedName(query)}Trigger`,
+    `${path.parse(file).dir}/${path.parse(file).name}`,
+    'trigger',
+    getActionKey(query),
+  );
+
+  return { warning };
+}
+
+
+/**
+ * Creates or updates the hook trigger file and imports it into the main Zapier index.js,
+ * assigning it to the triggers object, if it doesn't already exist.
+ *
+ * @param {String} operation    The GraphQL subscription or query
+ *
+ * @returns {Promise<{warning: String|null}>}   A warning for a deprecated operation, if any
+ */
+const addHookTrigger = async (operation) => {
+  const zapierApp = require(process.cwd() + '/index.js');
+
+  if (zapierApp.triggers[`${getQualifiedName(operation)}Hook`]) {
+    console.log(`Hook trigger "${operation}" already configured in Zapier index.js entry file`);
+    return { warning: null };
+  }
+
+  const warning = getDeprecationWarning((await getHookDefinition(operation)).definition);
+
+  const { file } = await createActionFile('hook', operation);
+  await createTestFile('hook', operation);
+
+  console.log(`Adding "${operation}" hook trigger to index.js`);
+  await updateEntryFile(
+    `./index.js`,
+    `${getQualifiedName(operation)}HookTrigger`,
+    `${path.parse(file).dir}/${path.parse(file).name}`,
+    'trigger',
+    `${getQualifiedName(operation)}Hook`,
+  );
+
+  return { warning };
+}
+
+
+/**
+ * Creates or updates the query file and imports it into the main Zapier index.js, assigning
+ * it to the searches object, if it doesn't already exist.
+ *
+ * @param {String} query
+ *
+ * @returns {Promise<{warning: String|null}>}   A warning for a deprecated operation, if any
+ */
+const addSearchQuery = async (query) => {
+  const zapierApp = require(process.cwd() + '/index.js');
+
+  if (zapierApp.searches[getActionKey(query)]) {
+    console.log(`Searches "${query}" query already configured in Zapier index.js entry file`);
+    return { warning: null };
+  }
+
+  const definition = await getQueryDefinition(query);
+  if (!definition.args.length) {
+    throw new Error(`Unable to add "${query}" search query.  It must have at least one argument.`);
+  }
+
+  const warning = getDeprecationWarning(definition);
+
+  const { file } = await createActionFile('search', query);
+  await createTestFile('search', query);
+
+  console.log(`Adding "${query}" query search to index.js`);
+  await updateEntryFile(
+    `./index.js`,
+    `${getQualifiedName(query)}Search`,
+    `${path.parse(file).dir}/${path.parse(file).name}`,
+    'search',
+    getActionKey(query),
+  );
+
+  return { warning };
+}
+
+
+/**
+ * Creates or updates the mutation file and imports it into the main Zapier index.js, assigning
+ * it to the creates object, if it doesn't already exist.
+ *
+ * @param {String} mutation
+ *
+ * @returns {Promise<{warning: String|null}>}   A warning for a deprecated operation, if any
+ */
+const addCreateMutation = async (mutation) => {
+  const zapierApp = require(process.cwd() + '/index.js');
+
+  if (zapierApp.creates[getActionKey(mutation)]) {
+    console.log(`Creates "${mutation}" mutation already configured in Zapier index.js entry file.`);
+    return { warning: null };
+  }
+
+  const warning = getDeprecationWarning(await getMutationDefinition(mutation));
+
+  const { file } = await createActionFile('create', mutation);
+  await createTestFile('create', mutation);
+
+  console.log(`Adding "${mutation}" mutation create to index.js`);
+  await updateEntryFile(
+    `./index.js`,
+    `${getQualifiedName(mutation)}Create`,
+    `${path.parse(file).dir}/${path.parse(file).name}`,
+    'create',
+    getActionKey(mutation),
+  );
+
+  return { warning };
+}
+
+
+/**
+ * Creates the authentication module and registers it, along with its request and response
+ * middleware, in the main Zapier index.js, if it isn't already.
+ *
+ * @param {String} type   One of "api-key", "bearer", "oauth2", "session" or "basic"
+ */
+const addAuthentication = async (type) => {
+  const entryFile = `${process.cwd()}/index.js`;
+  let code = fs.readFileSync(entryFile, 'utf8');
+
+  if (/^\s*authentication\s*:/m.test(code)) {
+    console.log('Authentication already configured in Zapier index.js entry file');
+    return;
+  }
+
+  const exportPattern = /module\.exports\s*=\s*\{\n/;
+  if (!exportPattern.test(code)) {
+    throw new Error('Unable to find the exported app object in index.js to add the authentication to');
+  }
+
+  await createAuthenticationFile(type);
+
+  // Existing middleware isn't replaced, so the authentication's would need to be added to it
+  const middleware = { beforeRequest: 'befores', afterResponse: 'afters' };
+  const properties = ['authentication: authentication.config,'];
+  for (const [property, exported] of Object.entries(middleware)) {
+    if (new RegExp(`^\\s*${property}\\s*:`, 'm').test(code)) {
+      console.log(`Add the authentication "${exported}" to the existing "${property}" in index.js`);
+      continue;
+    }
+
+    properties.push(`${property}: [...authentication.${exported}],`);
+  }
+
+  console.log(`Adding ${type} authentication to index.js`);
+  code = createRootRequire(code, 'authentication', './authentication');
+  code = code.replace(exportPattern, match => match + properties.map(p => `  ${p}\n`).join(''));
+  fs.writeFileSync(entryFile, code);
+}
+
+
+/**
+ * Gets the action type, operation, endpoint and key of each trigger, search and create configured
+ * within Zapier.
+ *
+ * @returns {Array<[String, String, String|null, String]>}
+ */
+const getConfiguredActions = () => {
+  const zapierApp = require(process.cwd() + '/index.js');
+
+  const getAction = (action, key) => {
+    const { endpoint, operation } = parseActionKey(key);
+
+    // Hook trigger keys are suffixed to avoid clashing with a polling trigger for the same query
+    return action === 'hook'
+      ? [action, operation.replace(/Hook$/, ''), endpoint, key]
+      : [action, operation, endpoint, key];
+  }
+
+  return [
+    ...Object.entries(zapierApp.triggers || {})
+      .map(([key, trigger]) => getAction(trigger.operation?.type === 'hook' ? 'hook' : 'trigger', key)),
+    ...Object.keys(zapierApp.searches || {}).map(key => getAction('search', key)),
+    ...Object.keys(zapierApp.creates || {}).map(key => getAction('create', key)),
+  ];
+}
+
+
+/**
+ * Extracts the GraphQL documents from the "document" template literals of an action file, or the
+ * "query" ones of files generated by earlier versions, along with the line and column each one
+ * starts at.  Those earlier versions interpolated the input into the document, e.g.
+ * "${quote(inputData.id)}", so it's only known at runtime.
+ *
+ * @param {String} contents
+ *
+ * @returns {Array<{document: String, line: Number, column: Number, interpolated: Boolean}>}
+ */
+const extractGraphQLDocuments = (contents) => {
+  return [...contents.matchAll(/(?:document|query): `([^`]*)`/g)].map((match) => {
+    const start = match.index + match[0].indexOf('`') + 1;
+    const lines = contents.slice(0, start).split('\n');
+
+    return {
+      document: match[1],
+      line: lines.length,
+      column: lines[lines.length - 1].length + 1,
+      interpolated: match[1].includes('${'),
+    };
+  });
+}
+
+
+/**
+ * Gets the configured actions of every endpoint, or only those of the current endpoint when a
+ * schema source is set, since it's the schema of a single endpoint.
+ *
+ * @returns {Array<[String, String, String|null, String]>}
+ */
+const getSchemaActions = () => {
+  return getConfiguredActions()
+    .filter(([action, operation, actionEndpoint]) => !schemaSource || actionEndpoint === endpoint);
+}
+
+
+/**
+ * Validates the GraphQL documents of all the operations configured as triggers, searches, and
+ * creates within Zapier against the schema of their endpoint.  Deprecated usages are reported as
+ * warnings.  With a schema source, only the current endpoint's operations are validated.
+ *
+ * @returns {Promise<Array<{
+ *  file: String,
+ *  line: Number|null,
+ *  column: Number|null,
+ *  severity: 'error'|'warning',
+ *  message: String,
+ * }>>}
+ */
+const validateConfiguredOperations = async () => {
+  const currentEndpoint = endpoint;
+
+  let problems = [];
+  try {
+    for (const [action, operation, actionEndpoint] of getSchemaActions()) {
+      setEndpoint(actionEndpoint);
+      problems.push(...await validateActionFile(action, operation));
+    }
+  } finally {
+    setEndpoint(currentEndpoint);
+  }
+
+  return problems;
+}
+
+
+/**
+ * Validates the GraphQL documents of an action file against the current endpoint's schema.
+ *
+ * @param {String} action     Zapier action type, either "trigger", "hook", "search", or "create"
+ * @param {String} operation  The GraphQL query, mutation or subscription field name
+ *
+ * @returns {Promise<Array<{
+ *  file: String,
+ *  line: Number|null,
+ *  column: Number|null,
+ *  severity: 'error'|'warning',
+ *  message: String,
+ * }>>}
+ */
+const validateActionFile = async (action, operation) => {
+  const file = `${process.cwd()}/${getActionDirectory(action)}/${getActionFilename(action, operation)}`;
+  if (!fs.existsSync(file)) {
+    return [{ file, line: null, column: null, severity: 'error', message: `Action file for "${operation}" not found` }];
+  }
+
+  const schema = await getSchema();
+
+  let problems = [];
+  for (const { document, line, column, interpolated } of extractGraphQLDocuments(fs.readFileSync(file, 'utf8'))) {
+    if (interpolated) {
+      problems.push({
+        file,
+        line,
+        column,
+        severity: 'warning',
+        message: `The GraphQL document interpolates its input, so it can't be validated, regenerate it with "update ${action === 'hook' ? 'hook-trigger' : action} ${operation}"`,
+      });
+      continue;
+    }
+
+    // Locations within the document are offset by where it starts within the action file
+    const locate = ({ line: documentLine, column: documentColumn } = {}) => ({
+      line: documentLine ? line + documentLine - 1 : line,
+      column: documentLine === 1 ? column + documentColumn - 1 : documentColumn ?? column,
+    });
+
+    let ast;
+    try {
+      ast = parse(document);
+    } catch (e) {
+      problems.push({ file, ...locate(e.locations?.[0]), severity: 'error', message: e.message });
+      continue;
+    }
+
+    for (const e of validate(schema, ast)) {
+      problems.push({ file, ...locate(e.locations?.[0]), severity: 'error', message: e.message });
+    }
+
+    for (const e of validate(schema, ast, [NoDeprecatedCustomRule])) {
+      problems.push({ file, ...locate(e.locations?.[0]), severity: 'warning', message: e.message });
+    }
+  }
+
+  return problems;
+}
+
+
+/**
+ * Gets the Zapier input and output fields of an action, keyed by their dot separated path, as
+ * they'd be generated for a schema.
+ *
+ * @param {GraphQLSchema} schema
+ * @param {String} action     Zapier action type, either "trigger", "hook", "search", or "create"
+ * @param {String} operation  The GraphQL query, mutation or subscription field name
+ *
+ * @returns {Promise<{inputFields: Object<String, InputField>, outputFields: Object<String, OutputField>}>}
+ */
+const getActionFields = async (schema, action, operation) => {
+  if (action === 'create') {
+    var definition = await getMutationDefinition(operation, schema);
+  } else if (action === 'hook') {
+    var { definition } = await getHookDefinition(operation, schema);
+  } else {
+    var definition = await getQueryDefinition(operation, schema);
+  }
+
+  const { args, outputFields } = getActionDetails(schema, action, operation, definition);
+  const inputFields = applyInputFieldOverrides(operation, getInputFieldsFlattened(args));
+
+  const keyFields = (fields, prefix = '') => fields.reduce((keyed, field) => ({
+    ...keyed,
+    [`${prefix}${field.key}`]: field,
+    ...(field.children?.length && keyFields(field.children, `${prefix}${field.key}.`)),
+  }), {});
+
+  return {
+    inputFields: keyFields(inputFields),
+    outputFields: keyFields(outputFields),
+  };
+}
+
+
+/**
+ * Compares the Zapier input and output fields of an action between two schemas, classifying
+ * each change as breaking for existing Zaps, or not.
+ *
+ * @param {{inputFields: Object, outputFields: Object}|null} from   Null if the operation didn't exist
+ * @param {{inputFields: Object, outputFields: Object}|null} to     Null if the operation doesn't exist
+ *
+ * @returns {Array<{breaking: Boolean, message: String}>}
+ */
+const compareActionFields = (from, to) => {
+  if (!from && !to) {
+    return [];
+  }
+
+  if (!to) {
+    return [{ breaking: true, message: 'Operation removed' }];
+  }
+
+  if (!from) {
+    return [{ breaking: false, message: 'Operation added' }];
+  }
+
+  let changes = [];
+  for (const [key, field] of Object.entries(to.inputFields)) {
+    const previous = from.inputFields[key];
+    if (!previous) {
+      changes.push(field.required
+        ? { breaking: true, message: `Required input field "${key}" added` }
+        : { breaking: false, message: `Optional input field "${key}" added` });
+      continue;
+    }
+
+    if (field.required && !previous.required) {
+      changes.push({ breaking: true, message: `Input field "${key}" is now required` });
+    } else if (!field.required && previous.required) {
+      changes.push({ breaking: false, message: `Input field "${key}" is now optional` });
+    }
+
+    if (field.type !== previous.type || !!field.list !== !!previous.list) {
+      changes.push({ breaking: true, message: `Input field "${key}" type changed from ${getFieldTypeLabel(previous)} to ${getFieldTypeLabel(field)}` });
+    }
+
+    const removedChoices = (previous.choices ?? []).filter(choice => field.choices && !field.choices.includes(choice));
+    if (removedChoices.length) {
+      changes.push({ breaking: true, message: `Input field "${key}" choices removed: ${removedChoices.join(', ')}` });
+    }
+
+    const addedChoices = (field.choices ?? []).filter(choice => previous.choices && !previous.choices.includes(choice));
+    if (addedChoices.length) {
+      changes.push({ breaking: false, message: `Input field "${key}" choices added: ${addedChoices.join(', ')}` });
+    }
+  }
+
+  for (const key of Object.keys(from.inputFields)) {
+    if (!to.inputFields[key]) {
+      changes.push({ breaking: true, message: `Input field "${key}" removed` });
+    }
+  }
+
+  for (const [key, field] of Object.entries(to.outputFields)) {
+    const previous = from.outputFields[key];
+    if (!previous) {
+      changes.push({ breaking: false, message: `Output field "${key}" added` });
+    } else if (field.type !== previous.type || !!field.list !== !!previous.list) {
+      changes.push({ breaking: true, message: `Output field "${key}" type changed from ${getFieldTypeLabel(previous)} to ${getFieldTypeLabel(field)}` });
+    }
+  }
+
+  for (const key of Object.keys(from.outputFields)) {
+    if (!to.outputFields[key]) {
+      changes.push({ breaking: true, message: `Output field "${key}" removed` });
+    }
+  }
+
+  return changes;
+}
+
+
+/**
+ * Gets a label for the Zapier type of an input or output field.
+ *
+ * @param {InputField|OutputField} field
+ *
+ * @returns {String}
+ */
+const getFieldTypeLabel = (field) => {
+  return field.list ? `[${field.type ?? 'object'}]` : field.type ?? 'object';
+}
+
+
+/**
+ * Compares the Zapier fields of all the operations of the current endpoint configured as triggers,
+ * searches, and creates within Zapier between two versions of its schema.  Changes that'd break existing Zaps, like a
+ * removed output field or a new required input field, are classified as breaking.
+ *
+ * @param {String} fromFile       The old schema file, either SDL or an introspection result
+ * @param {String|null} toFile    The new schema file, otherwise the current schema
+ *
+ * @returns {Promise<Array<{action: String, operation: String, breaking: Boolean, message: String}>>}
+ */
+const diffConfiguredOperations = async (fromFile, toFile = null) => {
+  const fromSchema = loadSchemaFile(fromFile);
+  const toSchema = toFile ? loadSchemaFile(toFile) : await getSchema();
+
+  const getFields = async (schema, action, operation) => {
+    const rootTypes = action === 'create'
+      ? [schema.getMutationType()]
+      : [...(action === 'hook' ? [schema.getSubscriptionType()] : []), schema.getQueryType()];
+    if (!rootTypes.some(type => type?.getFields()[operation])) {
+      return null;
+    }
+
+    return await getActionFields(schema, action, operation);
   }
 
-  const filename = inflection.dasherize(inflection.underscore(definition.name)) + '.test.js';
+  // The schemas are of the current endpoint, so only its actions are compared
+  let changes = [];
+  const actions = getConfiguredActions().filter(([action, operation, actionEndpoint]) => actionEndpoint === endpoint);
+  for (const [action, operation] of actions) {
+    const from = await getFields(fromSchema, action, operation);
+    const to = await getFields(toSchema, action, operation);
 
-  console.log(`Creating ${queryOrMutation} test file: test/${inflection.pluralize(action)}/${filename}`);
+    changes.push(...compareActionFields(from, to).map(change => ({ action, operation, ...change })));
+  }
 
-  const inputFields = getInputFieldsFlattened(definition.args);
-  const samples = createSamples(inputFields);
+  return changes;
+}
 
-  const contents =
-`/**
- * ${inflection.capitalize(action)} ${operation} ${queryOrMutation}
- * This file was auto-generated by zapier-graphql.
+
+/**
+ * Updates all of the operations configured as triggers, searches, and creates within Zapier.
+ * For a dry run, the action files aren't written, but compared with the files on disk instead.
+ * With a schema source, only the current endpoint's operations are updated.
+ *
+ * @param {Boolean} dryRun
+ *
+ * @returns {Promise<Array<{file: String, contents: String, changed?: Boolean, diff?: String}>>}
  */
+const updateConfiguredOperations = async (dryRun = false) => {
+  const currentEndpoint = endpoint;
 
-'use strict';
+  let results = [];
+  try {
+    for (const [action, operation, actionEndpoint] of getSchemaActions()) {
+      setEndpoint(actionEndpoint);
+      results.push(await createActionFile(action, operation, dryRun));
+    }
+  } finally {
+    setEndpoint(currentEndpoint);
+  }
 
-const zapier = require('zapier-platform-core');
-const { getConfig } = require('zapier-graphql');
-const { assertTypesFromSample } = require('zapier-graphql/lib/utils');
+  return results;
+}
 
-const App = require('../../index');
-const appTester = zapier.createAppTester(App);
 
-// Read the '.env' file into the environment, if available
-zapier.tools.env.inject();
+/**
+ * Records the samples of the configured actions by running them against the API, like their
+ * tests, with the "testBundle".  The first result, with the sensitive keys redacted, is written to
+ * the action's sample file, and the action file is updated to use it.  Since creates run a
+ * mutation, they're only recorded when their operation is given.  The file of an action without
+ * any results is null.
+ *
+ * @param {String|null} operation   Only records the actions of this operation
+ *
+ * @returns {Promise<Array<{action: String, operation: String, file: String|null}>>}
+ */
+const recordSamples = async (operation = null) => {
+  const actions = getConfiguredActions().filter(([action, actionOperation]) => {
+    return operation ? actionOperation === operation : action !== 'create';
+  });
 
-describe('${definition.name} ${queryOrMutation}', () => {
-  it('should run', async () => {
-    const bundle = {
-      ...getConfig().testBundle,
-      inputData: ${indentString(JSON.stringify(samples, null, 2), 6)},
-    };
+  if (operation && !actions.length) {
+    throw new Error(`No trigger, search or create is configured for the "${operation}" operation`);
+  }
 
-    let results = await appTester(App.${inflection.pluralize(action)}.${operation}.operation.perform, bundle);
-    results = results instanceof Array ? results : [results];
-    expect(results.length).toBeGreaterThan(0);
-    const firstResult = results[0];
+  const app = require(process.cwd() + '/index.js');
+  const appTester = zapier.createAppTester(app);
+  zapier.tools.env.inject();
 
-    const sample = App.${inflection.pluralize(action)}.${operation}.operation.sample
-    expect(Object.keys(firstResult).length).toEqual(Object.keys(sample).length);
-    assertTypesFromSample(sample, firstResult);
+  const { testBundle, samples: { redact, inputData } } = getConfig();
+  const currentEndpoint = endpoint;
+
+  let results = [];
+  try {
+    for (const [action, actionOperation, actionEndpoint, key] of actions) {
+      setEndpoint(actionEndpoint);
+
+      // Hook triggers are recorded with their performList fallback query
+      const { operation: actionConfig } = app[getActionDirectory(action)][key];
+      const response = await appTester(action === 'hook' ? actionConfig.performList : actionConfig.perform, {
+        ...testBundle,
+        inputData: { ...testBundle.inputData, ...inputData[actionOperation] },
+      });
+
+      const sample = Array.isArray(response) ? response[0] : response;
+      if (sample == null) {
+        results.push({ action, operation: actionOperation, file: null });
+        continue;
+      }
+
+      const file = getSampleFile(action, actionOperation);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(redactSample(sample, redact), null, 2) + '\n');
+
+      await createActionFile(action, actionOperation);
+      results.push({ action, operation: actionOperation, file });
+    }
+  } finally {
+    setEndpoint(currentEndpoint);
+  }
+
+  return results;
+}
+
+
+/**
+ * Cleans up all the Zapier specific triggers, creates, and searches directories and files.
+ * This could be useful when re-generating configured files/modules for the Zapier integration.
+ */
+const removeAllZapierFiles = () => {
+  const directories = [
+    'triggers',
+    'searches',
+    'creates',
+    'test/triggers',
+    'test/searches',
+    'test/creates',
+  ];
+
+  // Remove all the directories
+  directories.forEach((dir) => {
+    try {
+      fs.rmSync(`${process.cwd()}/${dir}`, { recursive: true, force: true });
+    } catch (e) {
+      throw new Error(`Unable to remove directory: ${dir}: ${e.message}`);
+    }
   });
-});
-`;
+}
 
-  fs.mkdirSync(`${process.cwd()}/test/${inflection.pluralize(action)}/`, { recursive: true });
-  const file = `${process.cwd()}/test/${inflection.pluralize(action)}/${filename}`;
-  fs.writeFileSync(file, contents);
 
-  return { file, contents };
+/**
+ * Gets the schema for the mock server.  Since the mock server is used offline, the API is never
+ * introspected, so the schema is loaded from the schema source or the schema cache, even if the
+ * cache has expired.
+ *
+ * @returns {GraphQLSchema}
+ */
+const getMockSchema = () => {
+  const source = schemaSource ?? getEndpointConfig().schema;
+  if (source) {
+    return loadSchemaFile(source);
+  }
+
+  const cache = readSchemaCache();
+  if (!cache) {
+    throw new Error('The mock server needs a local schema, configure the "schema" directive or run "zapier-graphql schema pull"');
+  }
+
+  return buildClientSchema(cache.introspection);
 }
 
 
 /**
- * Creates the test file for the operation
+ * Mocks the value of a field for the mock server.  Objects are mocked as empty objects, for their
+ * fields to be resolved in turn, and lists with a single item.  Scalars and enums are given sample
+ * values, keyed like the flattened output fields (e.g. "address__city"), so they match the
+ * samples of the actions.
  *
- * @param {String} urlEnvVar
+ * @param {Object} type
+ * @param {import('graphql').GraphQLResolveInfo} info
  *
- * @returns {Promise<{file: String, contents: String}>}   Config file contents
+ * @returns {*}
  */
-const createDefaultConfigFile = async (urlEnvVar) => {
-  if (!urlEnvVar) {
-    throw new Error('Missing URL environment variable parameter');
+const mockFieldValue = (type, info) => {
+  if (type instanceof GraphQLNonNull) {
+    return mockFieldValue(type.ofType, info);
   }
 
-  let contents = '';
-  try {
-      const filename = require.resolve('zapier-graphql/.zapiergraphql.sample');
-      contents = await fs.promises.readFile(filename, { encoding: 'utf8' });
-      contents = contents.replace('{{urlEnvVar}}', urlEnvVar);
-  } catch (e) {
-      throw new Error(e.message);
+  if (type instanceof GraphQLList) {
+    return [mockFieldValue(type.ofType, info)];
   }
 
-  if (!contents) {
-    throw new Error('Unable to create config file');
+  if (isAbstractType(type)) {
+    return { __typename: info.schema.getPossibleTypes(type)[0].name };
   }
 
-  const file = `${process.cwd()}/.zapiergraphql`;
-  await fs.writeFileSync(file, contents);
+  if (typeof type.getFields === 'function') {
+    return {};
+  }
 
-  // Need to be sure to update the default Zapier config to include our config file in builds
-  const zapierConfigFile = `${process.cwd()}/.zapierapprc`;
-  const zapierConfig = JSON.parse(fs.readFileSync(zapierConfigFile, 'utf8'));
-  zapierConfig.includeInBuild = zapierConfig.includeInBuild || [];
-  zapierConfig.includeInBuild.push('.zapiergraphql');
-  await fs.writeFileSync(zapierConfigFile, JSON.stringify(zapierConfig, null, 2));
+  let keys = [];
+  for (let fieldPath = info.path; fieldPath; fieldPath = fieldPath.prev) {
+    if (typeof fieldPath.key === 'string') {
+      keys.unshift(fieldPath.key);
+    }
+  }
 
-  return { file, contents };
+  // The operation's own field isn't part of the output field keys, unless it's a scalar
+  const key = keys.slice(1).join('__') || keys[0];
+  const typeDetails = getTypeDetails(type, info.fieldName);
+  const value = createSamples([new OutputField({
+    key,
+    label: inflectLabel(info.fieldName),
+    type: typeDetails.scalarType,
+    ...(typeDetails.enumValues.length && {choices: typeDetails.enumValues}),
+    typeDetails,
+  })])[key];
+
+  return value === 'CURRENT_TIMESTAMP' ? new Date().toISOString() : value;
 }
 
 
 /**
- * Creates or updates the query file and imports it into the main Zapier index.js, assigning
- * it to the triggers object, if it doesn't already exist.
+ * Reads the mock server fixtures from a directory of JSON files, named by the root query or
+ * mutation field (e.g. "contacts.json"), each containing the field's result.
  *
- * @param {String} query
+ * @param {String} directory
+ *
+ * @returns {Object<String, *>}
  */
-const addTriggerQuery = async (query) => {
-  const zapierApp = require(process.cwd() + '/index.js');
-
-  if (zapierApp.triggers[query]) {
-    console.log(`Trigger "${query}" query already configured in Zapier index.js entry file`);
-    return;
+const readMockFixtures = (directory) => {
+  if (!fs.existsSync(directory)) {
+    throw new Error(`The mock fixtures directory "${directory}" does not exist`);
   }
 
-  const { file } = await createActionFile('trigger', query);
-  await createTestFile('trigger', query);
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .reduce((fixtures, file) => {
+      try {
+        fixtures[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      } catch (e) {
+        throw new Error(`Unable to read mock fixture file "${file}": ${e.message}`);
+      }
 
-  console.log(`Adding "${query}" query trigger to index.js`);
-  await updateEntryFile(
-    `./index.js`,
-    `${query}Trigger`,
-    `${path.parse(file).dir}/${path.parse(file).name}`,
-    'trigger',
-    query,
-  );
+      return fixtures;
+    }, {});
 }
 
 
 /**
- * Creates or updates the query file and imports it into the main Zapier index.js, assigning
- * it to the searches object, if it doesn't already exist.
+ * Starts an HTTP server, in this process, that executes GraphQL operations against the schema
+ * with mocked resolvers, so actions can be run without the API.  The endpoint's URL environment
+ * variable is pointed at the server, until it's closed.
  *
- * @param {String} query
+ * Fixture data can be given for the result of each root query or mutation field, in which any
+ * missing fields are still mocked.  Fixtures are keyed by the root field, not the operation name,
+ * so a fixture applies to every operation selecting its field.  A fixtures directory is read for each request, so its files can be changed
+ * while the server is running.
+ *
+ * @param {Object} options
+ * @param {String|null} options.endpoint        The named endpoint to mock, or the default endpoint
+ * @param {Number} options.port                 The port to listen on, a random one by default
+ * @param {Object|String} options.fixtures      The fixture data keyed by root field, or a directory of them
+ * @param {Boolean} options.introspect          Whether the API can be introspected for the schema,
+ *                                              otherwise only a local schema is used
+ *
+ * @returns {Promise<{url: String, close: () => Promise<void>}>}
  */
-const addSearchQuery = async (query) => {
-  const zapierApp = require(process.cwd() + '/index.js');
+const startMockServer = async ({ endpoint: endpointName = null, port = 0, fixtures = {}, introspect = false } = {}) => {
+  const currentEndpoint = endpoint;
+  let schema;
+  let urlEnvVar;
+  try {
+    setEndpoint(endpointName);
+    schema = introspect ? await getSchema() : getMockSchema();
+    ({ urlEnvVar } = getEndpointConfig().request);
+  } finally {
+    setEndpoint(currentEndpoint);
+  }
 
-  if (zapierApp.searches[query]) {
-    console.log(`Searches "${query}" query already configured in Zapier index.js entry file`);
-    return;
+  if (typeof fixtures === 'string') {
+    readMockFixtures(fixtures); // Fails early for a missing directory or invalid JSON
   }
 
-  const definition = await getQueryDefinition(query);
-  if (!definition.args.length) {
-    throw new Error(`Unable to add "${query}" search query.  It must have at least one argument.`);
+  // Returning user errors would make every mutation fail
+  const userErrorFields = getConfig().errors.userErrors.map(userErrorPath => userErrorPath.split('.').pop());
+  const rootTypes = [schema.getQueryType(), schema.getMutationType()];
+
+  const fieldResolver = (source, args, context, info) => {
+    if (rootTypes.includes(info.parentType) && info.fieldName in context.fixtures) {
+      return context.fixtures[info.fieldName];
+    }
+
+    if (source && typeof source === 'object' && info.fieldName in source) {
+      return source[info.fieldName];
+    }
+
+    if (userErrorFields.includes(info.fieldName)) {
+      return [];
+    }
+
+    return mockFieldValue(info.returnType, info);
   }
 
-  const { file } = await createActionFile('search', query);
-  await createTestFile('search', query);
+  const typeResolver = (value, context, info, abstractType) => {
+    return value?.__typename ?? info.schema.getPossibleTypes(abstractType)[0].name;
+  }
 
-  console.log(`Adding "${query}" query search to index.js`);
-  await updateEntryFile(
-    `./index.js`,
-    `${query}Search`,
-    `${path.parse(file).dir}/${path.parse(file).name}`,
-    'search',
-    query,
-  );
+  const server = http.createServer((request, response) => {
+    // Allows browsers to request the server during development
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': request.headers['access-control-request-headers'] ?? 'Content-Type',
+    };
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, headers);
+      response.end();
+
+      return;
+    }
+
+    let body = '';
+    request.on('data', chunk => body += chunk);
+    request.on('end', async () => {
+      let status;
+      let result;
+      try {
+        const { query, variables, operationName } = JSON.parse(body);
+        result = await graphql({
+          schema,
+          source: query,
+          variableValues: variables,
+          operationName,
+          contextValue: { fixtures: typeof fixtures === 'string' ? readMockFixtures(fixtures) : fixtures },
+          fieldResolver,
+          typeResolver,
+        });
+
+        // As with GraphQL over HTTP, an operation that was executed responds with its data, even
+        // if it's null for the errors, and only one that couldn't be parsed or validated is a 400
+        status = 'data' in result ? 200 : 400;
+      } catch (e) {
+        result = { errors: [{ message: e.message }] };
+        status = e instanceof SyntaxError ? 400 : 500;
+      }
+
+      response.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(result));
+    });
+  });
+
+  await new Promise((resolve, reject) => server.once('error', reject).listen(port, resolve));
+
+  const url = `http://localhost:${server.address().port}/graphql`;
+  const previousUrl = process.env[urlEnvVar];
+  process.env[urlEnvVar] = url;
+
+  return {
+    url,
+    close: () => new Promise((resolve) => {
+      if (previousUrl === undefined) {
+        delete process.env[urlEnvVar];
+      } else {
+        process.env[urlEnvVar] = previousUrl;
+      }
+
+      server.close(() => resolve());
+    }),
+  };
 }
 
 
 /**
- * Creates or updates the mutation file and imports it into the main Zapier index.js, assigning
- * it to the creates object, if it doesn't already exist.
+ * Gets the HTTP fixtures file of an action's test, named like the action file, in the "http"
+ * directory of the samples directory, so they aren't confused with the recorded samples, e.g.
+ * "test/fixtures/http/triggers/contacts.json".
  *
- * @param {String} mutation
+ * @param {String} action
+ * @param {String} operation
+ *
+ * @returns {String}
  */
-const addCreateMutation = async (mutation) => {
-  const zapierApp = require(process.cwd() + '/index.js');
-
-  if (zapierApp.creates[mutation]) {
-    console.log(`Creates "${mutation}" mutation already configured in Zapier index.js entry file.`);
-    return;
-  }
-
-  const { file } = await createActionFile('create', mutation);
-  await createTestFile('create', mutation);
+const getHttpFixtureFile = (action, operation) => {
+  const filename = getActionFilename(action, operation).replace(/\.js$/, '.json');
 
-  console.log(`Adding "${mutation}" mutation create to index.js`);
-  await updateEntryFile(
-    `./index.js`,
-    `${mutation}Create`,
-    `${path.parse(file).dir}/${path.parse(file).name}`,
-    'create',
-    mutation,
-  );
+  return path.resolve(process.cwd(), getConfig().samples.directory, 'http', getActionDirectory(action), filename);
 }
 
 
 /**
- * Updates all of the operations configured as triggers, searches, and creates within Zapier.
+ * Requests the GraphQL API through the HTTP fixtures, in place of "z.request".  When recording,
+ * the API is requested and the request and response are kept, with the sensitive keys of the
+ * response redacted.  When replaying, the next recorded response is returned, as long as the
+ * GraphQL document and variables of the request haven't changed.
+ *
+ * @param {Object} z
+ * @param {Object} options    The z.request options
+ *
+ * @returns {Promise<Object>}
  */
-const updateConfiguredOperations = async () => {
-  const zapierApp = require(process.cwd() + '/index.js');
+const requestHttpFixture = async (z, options) => {
+  const { mode, file, interactions } = httpFixtures;
+  const { query: document, variables } = options.json;
+
+  if (mode === 'record') {
+    const response = await z.request(options);
+    interactions.push({
+      request: { document, variables },
+      response: {
+        status: response.status,
+        headers: Object.fromEntries(['content-type', 'retry-after']
+          .map(name => [name, response.headers?.get?.(name)])
+          .filter(([, value]) => value != null)),
+        data: redactSample(response.data, getConfig().samples.redact),
+      },
+    });
+
+    return response;
+  }
 
-  for (const [key, query] of Object.entries(zapierApp.triggers)) {
-    await createActionFile('trigger', key);
+  const fixture = path.relative(process.cwd(), file);
+  const index = httpFixtures.replayed++;
+  const interaction = interactions[index];
+  if (!interaction) {
+    throw new Error(`No response recorded for request ${index + 1} in "${fixture}", record the fixtures again with ZAPIER_GRAPHQL_TEST_MODE=record`);
   }
 
-  for (const [key, query] of Object.entries(zapierApp.searches)) {
-    await createActionFile('search', key);
+  if (print(parse(document)) !== print(parse(interaction.request.document))) {
+    throw new Error(`The GraphQL document of request ${index + 1} differs from "${fixture}", record the fixtures again with ZAPIER_GRAPHQL_TEST_MODE=record`);
   }
 
-  for (const [key, mutation] of Object.entries(zapierApp.creates)) {
-    await createActionFile('create', key);
+  // Undefined variables aren't sent, so they weren't recorded either
+  if (!isDeepStrictEqual(JSON.parse(JSON.stringify(variables ?? {})), interaction.request.variables ?? {})) {
+    throw new Error(`The GraphQL variables of request ${index + 1} differ from "${fixture}", record the fixtures again with ZAPIER_GRAPHQL_TEST_MODE=record`);
   }
+
+  const { status, headers = {}, data } = interaction.response;
+  const response = {
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    data,
+    content: JSON.stringify(data),
+    request: { url: options.url },
+    throwForStatus: () => {
+      if (status >= 400) {
+        throw new z.errors.ResponseError(response);
+      }
+    },
+  };
+
+  return response;
 }
 
 
 /**
- * Cleans up all the Zapier specific triggers, creates, and searches directories and files.
- * This could be useful when re-generating configured files/modules for the Zapier integration.
+ * Starts recording or replaying the HTTP requests of the generated actions, for an action's test,
+ * until stopped.  When recording, the API is requested with the "testBundle", and the requests
+ * and responses are written to the action's HTTP fixtures file when stopped.  When
+ * replaying, the recorded responses are returned without requesting the API, so the tests are
+ * deterministic.
+ *
+ * The mode is the "testMode" config directive, which the ZAPIER_GRAPHQL_TEST_MODE environment
+ * variable overrides, e.g. to record the fixtures again.  Any other mode requests the API.
+ *
+ * @param {String} action
+ * @param {String} operation
+ * @param {Object} options
+ * @param {String|null} options.endpoint    The named endpoint of the action, or the default endpoint
+ * @param {String} options.mode             "record" or "replay"
+ *
+ * @returns {{mode: String, file: String, stop: () => void}}
  */
-const removeAllZapierFiles = () => {
-  const directories = [
-    'triggers',
-    'searches',
-    'creates',
-    'test/triggers',
-    'test/searches',
-    'test/creates',
-  ];
+const startHttpFixtures = (action, operation, {
+  endpoint: endpointName = null,
+  mode = process.env.ZAPIER_GRAPHQL_TEST_MODE || getConfig().testMode,
+} = {}) => {
+  const currentEndpoint = endpoint;
+  let file;
+  try {
+    setEndpoint(endpointName);
+    file = getHttpFixtureFile(action, operation);
+  } finally {
+    setEndpoint(currentEndpoint);
+  }
+  let interactions = [];
+
+  if (mode === 'replay') {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No HTTP fixtures recorded in "${path.relative(process.cwd(), file)}", run the tests with ZAPIER_GRAPHQL_TEST_MODE=record`);
+    }
 
-  // Remove all the directories
-  directories.forEach((dir) => {
     try {
-      fs.rmSync(`${process.cwd()}/${dir}`, { recursive: true, force: true });
+      ({ interactions } = JSON.parse(fs.readFileSync(file, 'utf8')));
     } catch (e) {
-      throw new Error(`Unable to remove directory: ${dir}: ${e.message}`);
+      throw new Error(`Unable to parse the HTTP fixtures "${path.relative(process.cwd(), file)}": ${e.message}`);
     }
-  });
+  }
+
+  httpFixtures = ['record', 'replay'].includes(mode) ? { mode, file, interactions, replayed: 0 } : null;
+  setRequestInterceptor(httpFixtures ? requestHttpFixture : null);
+
+  return {
+    mode,
+    file,
+    stop: () => {
+      if (mode === 'record' && httpFixtures) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ action, operation, interactions: httpFixtures.interactions }, null, 2) + '\n');
+      }
+
+      httpFixtures = null;
+      setRequestInterceptor(null);
+    },
+  };
+}
+
+
+/**
+ * Starts the test mode of an action's test, until stopped: a mock server of the schema in "mock"
+ * mode, the action's HTTP fixtures in "record" and "replay" modes, and nothing in "live" mode,
+ * which requests the API.  It's chosen when the test runs, by the "testMode" config directive or
+ * the ZAPIER_GRAPHQL_TEST_MODE environment variable, so tests don't need to be scaffolded again.
+ *
+ * @param {String} action
+ * @param {String} operation
+ * @param {Object} options
+ * @param {String|null} options.endpoint    The named endpoint of the action, or the default endpoint
+ * @param {String} options.mode             "live", "mock", "record" or "replay"
+ *
+ * @returns {Promise<{mode: String, stop: () => Promise<void>}>}
+ */
+const startTestMode = async (action, operation, {
+  endpoint: endpointName = null,
+  mode = process.env.ZAPIER_GRAPHQL_TEST_MODE || getConfig().testMode,
+} = {}) => {
+  if (mode === 'mock') {
+    const mockServer = await startMockServer({ endpoint: endpointName });
+
+    return { mode, stop: () => mockServer.close() };
+  }
+
+  const httpFixtures = startHttpFixtures(action, operation, { endpoint: endpointName, mode });
+
+  return { mode, stop: async () => httpFixtures.stop() };
 }
 
 
 module.exports = {
+  executeOperation,
+  startMockServer,
+  startHttpFixtures,
+  startTestMode,
   addTriggerQuery,
+  addHookTrigger,
   addSearchQuery,
   addCreateMutation,
+  addAuthentication,
   updateConfiguredOperations,
+  recordSamples,
+  validateConfiguredOperations,
+  diffConfiguredOperations,
   createActionFile,
+  createTestFile,
+  createAuthenticationFile,
   createDefaultConfigFile,
   getConfig,
   setConfig,
+  setSchemaSource,
+  setSchemaRefresh,
+  setEndpoint,
+  pullSchema,
+  getSchemaStatus,
+  listOperations,
+  getMissingDynamicTriggers,
   removeAllZapierFiles,
 };
@@ -1,8 +1,78 @@
 'use strict';
 
+const Config = require('../Config.js');
+
+/** @type {Config} */
+let config;
+
+/** @type {((z: Object, options: Object) => Promise<Object>)|null} */
+let requestInterceptor = null;
+
+
+/**
+ * Gets the GraphQL request configuration and performs necessary validation.  The config is read
+ * from the project's ".zapiergraphql" file, which the generated actions need at runtime too.
+ *
+ * @returns {Object}
+ */
+const getConfig = () => {
+  if (config) {
+    return config;
+  }
+
+  try {
+    config = new Config(require(process.cwd() + '/.zapiergraphql'));
+  } catch (e) {
+    throw new Error('No .zapiergraphql config file found in project root');
+  }
+
+  if (!config.request.urlEnvVar) {
+    throw new Error(
+      'GraphQL service not configured. You must call "configureGraphQL" and provide the request.url.',
+    );
+  }
+
+  for (const [name, endpointConfig] of Object.entries(config.endpoints)) {
+    if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(name)) {
+      throw new Error(`Endpoint "${name}" must be named with letters and numbers, starting with a letter`);
+    }
+
+    if (!endpointConfig.request.urlEnvVar) {
+      throw new Error(`Endpoint "${name}" not configured.  You must provide its request.urlEnvVar.`);
+    }
+  }
+
+  return config;
+}
+
+
+/**
+ * This is really for testing due to mocking limitations.
+ *
+ * @param {Config} newConfig
+ */
+const setConfig = (newConfig) => {
+  config = newConfig;
+}
+
+
+/**
+ * Sets a function that's called in place of "z.request" by executeOperation(), such as for the
+ * HTTP fixtures of tests, or null to request the API.
+ *
+ * @param {((z: Object, options: Object) => Promise<Object>)|null} interceptor
+ */
+const setRequestInterceptor = (interceptor) => {
+  requestInterceptor = interceptor;
+}
+
+
 /**
  * Will quote a string, but leave other types alone
  *
+ * @deprecated Action files now send inputs as GraphQL variables.  This is only kept for action
+ *             files generated by earlier versions.
+ *
  * @param {*} value
  *
  * @returns {*}
@@ -15,6 +85,267 @@ const quote = (value) => {
   return value;
 }
 
+/**
+ * Maps the configured idMap fields to an "id" field on the result and its nested objects, since
+ * Zapier requires that every result have an "id".
+ *
+ * @param {*} data
+ * @param {Object} paths    The idMap field, keyed by the dot separated path of the nested object,
+ *                          or an object of them keyed by "__typename" for unions and interfaces
+ * @param {String} path     The path of the data being mapped ('' being the result itself)
+ *
+ * @returns {*}
+ */
+const mapIds = (data, paths, path = '') => {
+  if (Array.isArray(data)) {
+    return data.map(item => mapIds(item, paths, path));
+  }
+
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  let mapped = { ...data };
+  for (const [key, value] of Object.entries(data)) {
+    if (value && typeof value === 'object') {
+      mapped[key] = mapIds(value, paths, path ? `${path}.${key}` : key);
+    }
+  }
+
+  // Unions and interfaces have their id fields keyed by the "__typename"
+  const idField = typeof paths[path] === 'object' ? paths[path][mapped.__typename] : paths[path];
+  if (idField) {
+    mapped.id = mapped[idField];
+  }
+
+  return mapped;
+}
+
+
+/**
+ * Resolves the configured request headers for a request at runtime.  Header values can be
+ * functions of (z, bundle), or strings with "{{bundle.*}}" placeholders, such as
+ * "Bearer {{bundle.authData.token}}".  Headers resolving to null or undefined are left out, but
+ * a placeholder missing from the bundle is thrown, rather than sending a broken header.
+ *
+ * @param {Object} headers
+ * @param {Object} z
+ * @param {Object} bundle
+ *
+ * @returns {Promise<Object>}
+ */
+const resolveHeaders = async (headers, z, bundle) => {
+  let resolved = {};
+  for (const [name, value] of Object.entries(headers)) {
+    let resolvedValue = value;
+
+    if (typeof value === 'function') {
+      resolvedValue = await value(z, bundle);
+    } else if (typeof value === 'string') {
+      resolvedValue = value.replace(/\{\{\s*bundle\.([\w.]+)\s*\}\}/g, (match, path) => {
+        const placeholderValue = path.split('.').reduce((data, key) => data?.[key], bundle);
+        if (placeholderValue === null || placeholderValue === undefined) {
+          throw new Error(`Unable to resolve the "${name}" header, "bundle.${path}" is missing`);
+        }
+
+        return placeholderValue;
+      });
+    }
+
+    if (resolvedValue !== null && resolvedValue !== undefined) {
+      resolved[name] = resolvedValue;
+    }
+  }
+
+  return resolved;
+}
+
+
+/**
+ * Throws the errors of a GraphQL response as Zapier errors.  The "extensions.code" of the errors is
+ * mapped to one of the Zapier error classes (ExpiredAuthError, RefreshAuthError, HaltedError or
+ * ThrottledError), otherwise a general error is thrown with the code.  User errors returned in a
+ * mutation's payload, at the configured paths, are thrown as well.
+ *
+ * @param {Object} z
+ * @param {Object} response   The response from z.request, without throwing for its status
+ * @param {{codes?: Object<String, String>, userErrors?: Array<String>}} config
+ */
+const throwGraphQLErrors = (z, response, { codes = {}, userErrors = [] } = {}) => {
+  const { errors, data } = response.data ?? {};
+
+  if (errors?.length) {
+    const message = errors.map(error => error.message).join('\n');
+    const error = errors.find(error => error.extensions?.code) ?? errors[0];
+    const code = error.extensions?.code;
+
+    switch (codes[code]) {
+      case 'ExpiredAuthError':
+      case 'RefreshAuthError':
+      case 'HaltedError':
+        throw new z.errors[codes[code]](message);
+      case 'ThrottledError': {
+        const retryAfter = error.extensions.retryAfter ?? response.headers?.get?.('retry-after');
+        throw new z.errors.ThrottledError(message, retryAfter ? Number(retryAfter) : undefined);
+      }
+      default:
+        throw new z.errors.Error(message, code ?? 'GraphQLError', response.status);
+    }
+  }
+
+  for (const result of Object.values(data ?? {})) {
+    for (const path of userErrors) {
+      const found = path.split('.').reduce((value, key) => value?.[key], result);
+      if (Array.isArray(found) && found.length) {
+        const message = found.map(userError => userError?.message ?? JSON.stringify(userError)).join('\n');
+        throw new z.errors.Error(message, 'UserError', response.status);
+      }
+    }
+  }
+
+  if (response.status >= 400) {
+    response.throwForStatus();
+  }
+}
+
+
+/**
+ * Leaves a dot separated path, split into its keys, out of the data, without changing the data.
+ *
+ * @param {*} data
+ * @param {Array<String>} path
+ *
+ * @returns {*}
+ */
+const omitPath = (data, [key, ...rest]) => {
+  if (Array.isArray(data)) {
+    return data.map(item => omitPath(item, [key, ...rest]));
+  }
+
+  if (!data || typeof data !== 'object' || !(key in data)) {
+    return data;
+  }
+
+  const { [key]: value, ...others } = data;
+
+  return rest.length ? { ...data, [key]: omitPath(value, rest) } : others;
+}
+
+
+/**
+ * Executes a GraphQL operation for a generated action at runtime, which is what the "perform"
+ * functions of the generated action files call.  This resolves the request headers, maps any
+ * GraphQL errors to Zapier errors, and unwraps the result of the operation from the response.
+ *
+ * @param {Object} z
+ * @param {Object} bundle
+ * @param {Object} options
+ * @param {String} options.document         The GraphQL document to execute
+ * @param {Object} options.variables
+ * @param {String} options.operation        The operation, used as the result path by default
+ * @param {String} options.resultPath       The dot separated path of the result in the response data
+ * @param {String|null} options.endpoint    The named endpoint to request, or the default endpoint
+ * @param {Boolean} options.connection      Whether to unwrap a connection's edges to a list of nodes
+ * @param {Boolean} options.cursor          Whether to store the connection's cursor for the next page
+ * @param {Object|null} options.idMap       The idMap fields to map to an "id" field, see mapIds()
+ * @param {Boolean} options.list            Whether to always return a list, as triggers and searches do
+ *
+ * @returns {Promise<*>}
+ */
+const executeOperation = async (z, bundle, {
+  document,
+  variables = {},
+  operation,
+  resultPath = operation,
+  endpoint: endpointName = null,
+  connection = false,
+  cursor = false,
+  idMap = null,
+  list = false,
+}) => {
+  const requestConfig = endpointName ? getConfig().endpoints[endpointName]?.request : getConfig().request;
+  if (!requestConfig) {
+    throw new Error(`Endpoint "${endpointName}" is not configured in the "endpoints" config directive`);
+  }
+
+  const request = requestInterceptor ? (options) => requestInterceptor(z, options) : z.request;
+  const response = await request({
+    url: process.env[requestConfig.urlEnvVar],
+    method: 'POST',
+    headers: await resolveHeaders(requestConfig.headers, z, bundle),
+    skipThrowForStatus: true,
+    json: {
+      query: document,
+      variables,
+    },
+  });
+  throwGraphQLErrors(z, response, getConfig().errors);
+
+  // Such as an HTML page from a proxy or a misconfigured URL, which wouldn't have a result
+  if (!response.data || typeof response.data !== 'object') {
+    const contentType = response.headers?.get?.('content-type') ?? 'no content type';
+    throw new z.errors.Error(
+      `Expected a GraphQL response, but received a ${response.status} response with ${contentType}`,
+      'InvalidResponse',
+      response.status,
+    );
+  }
+
+  // The user errors would have been thrown, so they're left out of the result
+  const data = Object.fromEntries(Object.entries(response.data.data ?? {}).map(([key, value]) => {
+    return [key, getConfig().errors.userErrors.reduce((result, userErrorPath) => {
+      return omitPath(result, userErrorPath.split('.'));
+    }, value)];
+  }));
+  const result = resultPath.split('.').reduce((value, key) => value?.[key], data);
+
+  return processResult(z, result, { connection, cursor, page: bundle.meta?.page ?? 0, idMap, list });
+}
+
+
+/**
+ * Processes the result of an operation for Zapier, unwrapping a connection's nodes, mapping the
+ * ids and wrapping it in a list.  This is done for the results of executeOperation(), and the
+ * webhook payloads of hook triggers.
+ *
+ * @param {Object} z
+ * @param {*} result
+ * @param {Object} options
+ * @param {Boolean} options.connection      Whether to unwrap a connection's edges to a list of nodes
+ * @param {Boolean} options.cursor          Whether to store the connection's cursor for the next page
+ * @param {Number} options.page             The page of a paginated trigger, "bundle.meta.page"
+ * @param {Object|null} options.idMap       The idMap fields to map to an "id" field, see mapIds()
+ * @param {Boolean} options.list            Whether to always return a list, as triggers and searches do
+ *
+ * @returns {Promise<*>}
+ */
+const processResult = async (z, result, { connection = false, cursor = false, page = 0, idMap = null, list = false } = {}) => {
+  if (connection && result) {
+    // Stores the cursor for the next page, if there is one.  Without both "hasNextPage" and
+    // "endCursor" selected, there's no telling, so there isn't a next page.  The cursor of an
+    // earlier page is cleared on the last one, but there's nothing to clear on the first page.
+    const { hasNextPage, endCursor } = result.pageInfo ?? {};
+    const nextCursor = hasNextPage && endCursor ? endCursor : null;
+    if (cursor && (nextCursor || page > 0)) {
+      await z.cursor.set(nextCursor);
+    }
+
+    result = result.edges.map(edge => edge.node);
+  }
+
+  // Will handle the id mapping to a new "id" field for Zapier compatibility
+  if (idMap) {
+    result = mapIds(result, idMap);
+  }
+
+  if (list && !Array.isArray(result)) {
+    return result == null ? [] : [result];
+  }
+
+  return result;
+}
+
+
 /**
  * Asserts that the types of the object match the sample object's defined types
  *
@@ -82,7 +413,15 @@ const assertTypesFromOutputFields = (fields, object) => {
 
 
 module.exports = {
+  getConfig,
+  setConfig,
+  setRequestInterceptor,
+  executeOperation,
+  processResult,
   quote,
+  mapIds,
+  resolveHeaders,
+  throwGraphQLErrors,
   assertTypesFromSample,
   assertTypesFromOutputFields,
 };
@@ -2,17 +2,40 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parse } = require('graphql');
+const { assertTypesFromSample } = require('../../lib/utils');
+
+const errors = require('zapier-platform-core/src/errors');
+const { Agent, ProxyAgent, request } = require('undici');
 
 const {
+  executeOperation,
+  startMockServer,
+  startHttpFixtures,
+  startTestMode,
   createDefaultConfigFile,
   setConfig,
+  setSchemaSource,
+  setSchemaRefresh,
+  setEndpoint,
+  pullSchema,
+  getSchemaStatus,
+  listOperations,
   createActionFile,
+  createTestFile,
+  createAuthenticationFile,
+  getMissingDynamicTriggers,
+  validateConfiguredOperations,
+  diffConfiguredOperations,
+  updateConfiguredOperations,
+  recordSamples,
 } = require('../../lib');
 const Config = require('../../lib/Config');
 
 process.env.TEST_ENV_VAR = 'https://spacex-production.up.railway.app';
 
 const spaceXSchema = require('../fixture/space-x-schema.json');
+const contactsSchemaFile = path.resolve(__dirname, '../fixture/contacts-schema.graphql');
 let sampleConfig = require('../../etc/.zapiergraphql.sample');
 sampleConfig.request.urlEnvVar = 'TEST_ENV_VAR';
 sampleConfig.scalarMap = {
@@ -31,6 +54,22 @@ jest.mock('fs', () => ({
   rmdirSync: jest.fn(),
 }));
 
+// The Zapier index.js entry file.  The mocked module is only created once, so its actions are
+// replaced for each test
+const entryFile = path.resolve(process.cwd(), 'index.js');
+const entryApp = {};
+jest.doMock(entryFile, () => entryApp, { virtual: true });
+
+const mockEntryFile = (app, files = {}) => {
+  const { existsSync, readFileSync } = jest.requireActual('fs');
+  jest.spyOn(fs, 'existsSync').mockImplementation((file) => file === entryFile || file in files || existsSync(file));
+  jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) => file in files
+    ? files[file]
+    : readFileSync(file, ...args)
+  );
+  Object.assign(entryApp, app);
+}
+
 // Just return the Space X schema
 global.fetch = jest.fn().mockReturnValue({
   ...jest.requireActual('node-fetch'),
@@ -41,6 +80,51 @@ global.fetch = jest.fn().mockReturnValue({
 // Ignore console.log output
 console.log = jest.fn();
 
+// The z object of generated actions at runtime, responding with the given GraphQL response body
+const mockZ = (body) => ({
+  errors,
+  request: jest.fn().mockResolvedValue({ status: 200, data: body, throwForStatus: jest.fn() }),
+  cursor: { set: jest.fn() },
+});
+
+// Loads the contents of a generated action file, with its runtime module resolved to this package
+const loadActionFile = (contents) => {
+  const actionModule = { exports: {} };
+  const actionRequire = (id) => require(id === 'zapier-graphql/lib/utils' ? '../../lib/utils' : id);
+  new Function('require', 'module', 'exports', contents)(actionRequire, actionModule, actionModule.exports);
+
+  return actionModule.exports;
+}
+
+// Runs the contents of a generated test file against the given app, collecting its hooks and tests
+const runTestFile = async (contents, app) => {
+  const hooks = { beforeAll: [], afterAll: [], tests: [] };
+  const testRequire = (id) => ({
+    'zapier-graphql': () => require('../../lib'),
+    'zapier-graphql/lib/utils': () => require('../../lib/utils'),
+    '../../index': () => app,
+  }[id] ?? (() => require(id)))();
+
+  new Function('require', 'describe', 'it', 'beforeAll', 'afterAll', 'expect', contents)(
+    testRequire,
+    (name, fn) => fn(),
+    (name, fn) => hooks.tests.push(fn),
+    (fn) => hooks.beforeAll.push(fn),
+    (fn) => hooks.afterAll.push(fn),
+    expect,
+  );
+
+  try {
+    for (const fn of [...hooks.beforeAll, ...hooks.tests]) {
+      await fn();
+    }
+  } finally {
+    for (const fn of hooks.afterAll) {
+      await fn();
+    }
+  }
+}
+
 
 // Tests
 describe('createConfigFile', () => {
@@ -67,4 +151,1564 @@ describe('createActionFile', () => {
   it('should create the create mutation file', async () => {
     await createActionFile('create', 'delete_users');
   });
+
+  it('should send the inputs as typed variables', async () => {
+    const { contents } = await createActionFile('create', 'update_users');
+
+    expect(contents).not.toEqual(expect.stringContaining('quote('));
+    expect(contents).toEqual(expect.stringContaining('mutation update_users($_set: users_set_input, $where: users_bool_exp!) {'));
+    expect(contents).toEqual(expect.stringContaining('update_users(_set: $_set, where: $where) {'));
+    expect(contents).toEqual(expect.stringContaining('_eq: inputData.id?.id___eq,'));
+
+    const gql = contents.match(/document: `([^`]+)`/)[1];
+    expect(() => parse(gql)).not.toThrow();
+  });
+});
+
+
+describe('dry run', () => {
+  it('should diff the action file without writing it', async () => {
+    jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+    fs.writeFileSync.mockClear();
+
+    const { changed, diff } = await createActionFile('trigger', 'dragon', true);
+
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    expect(changed).toBe(true);
+    expect(diff).toEqual(expect.stringContaining('+++ triggers/dragon.js'));
+    expect(diff).toEqual(expect.stringContaining("+const perform = async (z, bundle) => {"));
+  });
+
+  it('should not report an action file matching the schema', async () => {
+    const { file, contents } = await createActionFile('trigger', 'dragon');
+    mockEntryFile({}, { [file]: contents });
+
+    const result = await createActionFile('trigger', 'dragon', true);
+
+    expect(result.changed).toBe(false);
+    expect(result.diff).toEqual('');
+  });
+});
+
+
+describe('schema source', () => {
+  afterEach(() => {
+    setSchemaSource(null);
+  });
+
+  it('should load the schema from an introspection JSON file', async () => {
+    fetch.mockClear();
+    setSchemaSource(path.resolve(__dirname, '../fixture/space-x-schema.json'));
+
+    const { contents } = await createActionFile('trigger', 'dragon');
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(contents).toEqual(expect.stringContaining('document: `query dragon($id: ID!) {'));
+  });
+
+  it('should load the schema from an SDL file', async () => {
+    fetch.mockClear();
+    setSchemaSource(contactsSchemaFile);
+
+    const { contents } = await createActionFile('trigger', 'contacts');
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(contents).toEqual(expect.stringContaining('contacts('));
+  });
+
+  it('should throw for a missing schema file', async () => {
+    setSchemaSource('./missing-schema.graphql');
+
+    await expect(createActionFile('trigger', 'contacts')).rejects.toThrow('does not exist');
+  });
+});
+
+
+describe('schema cache', () => {
+  const cacheFile = path.resolve(process.cwd(), '.zapiergraphql.schema.json');
+  const cache = {
+    pulledAt: '2023-10-01T00:00:00.000Z',
+    url: 'https://spacex-production.up.railway.app',
+    introspection: spaceXSchema.data,
+  };
+
+  const mockCacheFile = () => {
+    const { existsSync, readFileSync } = jest.requireActual('fs');
+    jest.spyOn(fs, 'existsSync').mockImplementation((file) => file === cacheFile || existsSync(file));
+    jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) => file === cacheFile
+      ? JSON.stringify(cache)
+      : readFileSync(file, ...args)
+    );
+  }
+
+  afterEach(() => {
+    setSchemaRefresh(false);
+  });
+
+  it('should write the introspected schema to the cache file', async () => {
+    fs.writeFileSync.mockClear();
+
+    const { file, url } = await pullSchema();
+
+    expect(file).toEqual(cacheFile);
+    expect(url).toEqual(process.env.TEST_ENV_VAR);
+    expect(fs.writeFileSync).toHaveBeenCalledWith(cacheFile, expect.stringContaining('"pulledAt"'));
+    expect(console.log).toHaveBeenCalledWith('Writing the introspected schema to the cache file: .zapiergraphql.schema.json');
+  });
+
+  it('should report the status of the cache file', () => {
+    mockCacheFile();
+
+    expect(getSchemaStatus()).toEqual({
+      file: cacheFile,
+      exists: true,
+      pulledAt: cache.pulledAt,
+      url: cache.url,
+      expired: false,
+    });
+  });
+
+  it('should read the schema from the cache file', async () => {
+    mockCacheFile();
+    setSchemaRefresh(false);
+    fetch.mockClear();
+
+    await createActionFile('trigger', 'dragon');
+
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should ignore the cache file when refreshing', async () => {
+    mockCacheFile();
+    setSchemaRefresh(true);
+    fetch.mockClear();
+
+    await createActionFile('trigger', 'dragon');
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+
+describe('listOperations', () => {
+  it('should list the queries and mutations matching a fuzzy filter', async () => {
+    const operations = await listOperations('drgns');
+
+    expect(operations.map(o => o.name)).toEqual(['dragons']);
+    expect(operations[0]).toEqual(expect.objectContaining({
+      kind: 'query',
+      returnType: '[Dragon]',
+      registered: [],
+    }));
+    expect(operations[0].args.map(a => a.name)).toEqual(['limit', 'offset']);
+  });
+
+  it('should list the mutations', async () => {
+    const operations = await listOperations('delete_users');
+
+    expect(operations.map(o => [o.kind, o.name])).toEqual([['mutation', 'delete_users']]);
+  });
+});
+
+
+describe('pagination', () => {
+  afterEach(() => {
+    setSchemaSource(null);
+  });
+
+  it('should paginate list triggers with offset and limit arguments', async () => {
+    const { contents } = await createActionFile('trigger', 'dragons');
+
+    expect(contents).toEqual(expect.stringContaining('canPaginate: true'));
+    expect(contents).toEqual(expect.stringContaining('offset: (bundle.meta?.page ?? 0) * 100,'));
+    expect(contents).not.toEqual(expect.stringContaining("key: 'offset'"));
+  });
+
+  it('should not paginate searches', async () => {
+    const { contents } = await createActionFile('search', 'dragons');
+
+    expect(contents).not.toEqual(expect.stringContaining('canPaginate'));
+    expect(contents).toEqual(expect.stringContaining("key: 'offset'"));
+  });
+
+  it('should unwrap and paginate Relay connections with a cursor', async () => {
+    setSchemaSource(contactsSchemaFile);
+
+    const { contents } = await createActionFile('trigger', 'contactsConnection');
+
+    expect(contents).toEqual(expect.stringContaining("noun: 'Contact'"));
+    expect(contents).toEqual(expect.stringContaining('canPaginate: true'));
+    expect(contents).toEqual(expect.stringContaining('after: bundle.meta?.page ? await z.cursor.get() : undefined,'));
+    expect(contents).toEqual(expect.stringContaining('connection: true,\n    cursor: true,'));
+    expect(contents).toEqual(expect.stringContaining("key: 'createdAt'"));
+
+    const gql = contents.match(/document: `([^`]+)`/)[1];
+    expect(() => parse(gql)).not.toThrow();
+  });
+
+  it('should not paginate lists without a limit, or select an empty pageInfo', async () => {
+    const schemaFile = path.resolve(process.cwd(), 'items-schema.graphql');
+    mockEntryFile({ triggers: {}, searches: {}, creates: {} }, {
+      [schemaFile]: [
+        'type Query { items(offset: Int): [Item!]!, itemsConnection: ItemConnection! }',
+        'type Item { id: ID! }',
+        'type ItemEdge { node: Item! }',
+        'type PageInfo { startCursor: String }',
+        'type ItemConnection { edges: [ItemEdge!]!, pageInfo: PageInfo! }',
+      ].join('\n'),
+    });
+    setSchemaSource(schemaFile);
+
+    const { contents } = await createActionFile('trigger', 'items');
+
+    expect(contents).not.toEqual(expect.stringContaining('canPaginate'));
+    expect(contents).toEqual(expect.stringContaining("key: 'offset'"));
+
+    const { contents: connectionContents } = await createActionFile('trigger', 'itemsConnection');
+
+    const gql = connectionContents.match(/document: `([^`]+)`/)[1];
+    expect(gql).not.toEqual(expect.stringContaining('pageInfo'));
+    expect(() => parse(gql)).not.toThrow();
+  });
+});
+
+
+describe('hook triggers', () => {
+  beforeEach(() => {
+    setConfig(new Config({
+      ...sampleConfig,
+      hooks: {
+        subscribe: {
+          mutation: 'createWebhook',
+          arguments: { url: '{{bundle.targetUrl}}', event: '{{operation}}', secret: 'zapier-{{bundle.authData.apiKey}}' },
+        },
+        unsubscribe: {
+          mutation: 'deleteWebhook',
+          arguments: { id: '{{bundle.subscribeData.id}}' },
+        },
+        fallbackQueries: {
+          contactCreated: 'contacts',
+        },
+      },
+    }));
+    setSchemaSource(contactsSchemaFile);
+  });
+
+  afterEach(() => {
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should create a hook trigger for a subscription', async () => {
+    const { file, contents } = await createActionFile('hook', 'contactCreated');
+
+    expect(path.relative(process.cwd(), file)).toEqual('triggers/contact-created-hook.js');
+    expect(contents).toEqual(expect.stringContaining("key: 'contactCreatedHook'"));
+    expect(contents).toEqual(expect.stringContaining("type: 'hook'"));
+    expect(contents).toEqual(expect.stringContaining('url: bundle.targetUrl,'));
+    expect(contents).toEqual(expect.stringContaining('event: "contactCreated",'));
+    expect(contents).toEqual(expect.stringContaining('secret: `zapier-${bundle.authData?.apiKey}`,'));
+    expect(contents).toEqual(expect.stringContaining('id: bundle.subscribeData?.id,'));
+    expect(contents).toEqual(expect.stringContaining('deleteWebhook(id: $id)\n'));
+    expect(contents).toEqual(expect.stringContaining('// Executes the contacts query to provide samples'));
+    expect(contents).toEqual(expect.stringContaining("const { executeOperation, processResult } = require('zapier-graphql/lib/utils');"));
+    expect(contents).toEqual(expect.stringContaining('return processResult(z, results, '));
+    expect(contents).not.toEqual(expect.stringContaining("require('zapier-graphql')"));
+  });
+
+  it('should parse the webhook payload, skipping empty payloads and null results', async () => {
+    const { operation } = loadActionFile((await createActionFile('hook', 'contactCreated')).contents);
+    const perform = (cleanedRequest) => operation.perform(mockZ({}), { cleanedRequest });
+
+    expect(await perform({ data: { contactCreated: { id: '7', name: 'Ada' } } }))
+      .toEqual([expect.objectContaining({ id: '7', name: 'Ada', email: null })]);
+    expect(await perform([{ id: '7', name: 'Ada' }])).toEqual([expect.objectContaining({ id: '7' })]);
+    expect(await perform({ data: { contactCreated: null } })).toEqual([]);
+    expect(await perform({})).toEqual([]);
+    expect(await perform(undefined)).toEqual([]);
+  });
+
+  it('should require a fallback query for subscriptions', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      hooks: {
+        subscribe: { mutation: 'createWebhook', arguments: { url: '{{bundle.targetUrl}}', event: '{{operation}}' } },
+        unsubscribe: { mutation: 'deleteWebhook', arguments: { id: '{{bundle.subscribeData.id}}' } },
+      },
+    }));
+
+    await expect(createActionFile('hook', 'contactCreated')).rejects.toThrow('No fallback query configured');
+  });
+
+  it('should require the hook mutations to be configured', async () => {
+    setConfig(new Config(sampleConfig));
+
+    await expect(createActionFile('hook', 'contacts')).rejects.toThrow('"hooks.subscribe" and "hooks.unsubscribe"');
+  });
+});
+
+
+describe('nested output fields', () => {
+  afterEach(() => {
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should skip nested object fields by default', async () => {
+    setSchemaSource(contactsSchemaFile);
+
+    const { contents } = await createActionFile('trigger', 'contact');
+
+    expect(contents).not.toEqual(expect.stringContaining('address'));
+  });
+
+  it('should flatten nested object fields up to the operation output depth', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      outputDepth: 0,
+      operations: { contact: { outputDepth: 1 } },
+      idMap: { Address: 'city' },
+    }));
+    setSchemaSource(contactsSchemaFile);
+
+    const { contents } = await createActionFile('trigger', 'contact');
+
+    expect(contents).toEqual(expect.stringContaining("key: 'address__city',\n        label: 'Address City',"));
+    expect(contents).toEqual(expect.stringContaining("key: 'address__id',"));
+    expect(contents).toEqual(expect.stringContaining("idMap: {address:'city'},"));
+    expect(contents).toEqual(expect.stringContaining('address: {\n        id: "1",\n        street: '));
+
+    // The manager is a Contact too, which would be a cycle
+    expect(contents).not.toEqual(expect.stringContaining('manager'));
+
+    const gql = contents.match(/document: `([^`]+)`/)[1];
+    expect(gql).toEqual(expect.stringContaining('address {'));
+    expect(() => parse(gql)).not.toThrow();
+  });
+
+  it('should use "[]" keys for lists of nested objects', async () => {
+    setConfig(new Config({ ...sampleConfig, outputDepth: 1 }));
+
+    const { contents } = await createActionFile('trigger', 'ship');
+
+    expect(contents).toEqual(expect.stringContaining("key: 'missions[]name',"));
+    expect(contents).toEqual(expect.stringContaining('missions: [\n'));
+  });
+});
+
+describe('union and interface output fields', () => {
+  afterEach(() => {
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should select the possible types of a union with inline fragments', async () => {
+    setSchemaSource(contactsSchemaFile);
+
+    const { contents } = await createActionFile('search', 'search');
+
+    const gql = contents.match(/document: `([^`]+)`/)[1];
+    expect(gql).toEqual(expect.stringContaining('__typename\n'));
+    expect(gql).toEqual(expect.stringContaining('... on Contact {'));
+    expect(gql).toEqual(expect.stringContaining('... on Company {'));
+    expect(() => parse(gql)).not.toThrow();
+
+    // The fields of the possible types are merged, with "__typename" to tell them apart
+    expect(contents).toEqual(expect.stringContaining("key: '__typename',\n        label: 'Type',"));
+    expect(contents).toEqual(expect.stringContaining("'Contact',\n          'Company',"));
+    expect(contents).toEqual(expect.stringContaining("key: 'status',"));
+    expect(contents).toEqual(expect.stringContaining("key: 'website',"));
+    expect(contents.match(/key: 'name',/g)).toHaveLength(1);
+
+    // The sample is of the first possible type
+    expect(contents).toEqual(expect.stringContaining('__typename: "Contact",'));
+    expect(contents).not.toEqual(expect.stringContaining('website: "'));
+  });
+
+  it('should map the ids of an interface by its typename', async () => {
+    setConfig(new Config({ ...sampleConfig, idMap: { Company: 'name' } }));
+    setSchemaSource(contactsSchemaFile);
+
+    const { contents } = await createActionFile('trigger', 'node');
+
+    expect(contents).toEqual(expect.stringContaining("idMap: {'':{Company:'name'}},"));
+  });
+
+  it('should skip the possible types without any fields at the output depth', async () => {
+    const schemaFile = path.resolve(process.cwd(), 'feed-schema.graphql');
+    mockEntryFile({ triggers: {}, searches: {}, creates: {} }, {
+      [schemaFile]: [
+        'type Query { feed: [FeedItem!]! }',
+        'union FeedItem = Post | Share',
+        'type Post { id: ID!, title: String }',
+        'type Share { post: Post! }',
+      ].join('\n'),
+    });
+    setSchemaSource(schemaFile);
+
+    const { contents } = await createActionFile('trigger', 'feed');
+
+    const gql = contents.match(/document: `([^`]+)`/)[1];
+    expect(gql).toEqual(expect.stringContaining('... on Post {'));
+    expect(gql).not.toEqual(expect.stringContaining('... on Share'));
+    expect(() => parse(gql)).not.toThrow();
+    expect(contents).toEqual(expect.stringContaining("'Post',\n          'Share',"));
+  });
+});
+
+describe('authentication', () => {
+  beforeEach(() => {
+    setSchemaSource(contactsSchemaFile);
+  });
+
+  afterEach(() => {
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should create an api key authentication with a connection test query', async () => {
+    const { contents } = await createAuthenticationFile('api-key');
+
+    expect(contents).toEqual(expect.stringContaining("type: 'custom',"));
+    expect(contents).toEqual(expect.stringContaining("request.headers['X-API-Key'] = bundle.authData.apiKey;"));
+    expect(contents).toEqual(expect.stringContaining("key: 'apiKey',"));
+    expect(contents).toEqual(expect.stringContaining("connectionLabel: '{{name}}',"));
+    expect(contents).toEqual(expect.stringContaining('befores: [includeCredentials],'));
+
+    const gql = contents.match(/document: `([^`]+)`/)[1];
+    expect(() => parse(gql)).not.toThrow();
+
+    // The connection test is executed like the actions
+    const { config } = loadActionFile(contents);
+    const z = mockZ({ data: { viewer: { id: '1', name: 'Ada' } } });
+    expect(await config.test(z, { authData: { apiKey: 'abc' } })).toEqual({ id: '1', name: 'Ada' });
+    expect(z.request).toHaveBeenCalledWith(expect.objectContaining({ url: process.env.TEST_ENV_VAR, json: { query: gql, variables: {} } }));
+  });
+
+  it('should exchange the session mutation arguments for a session key', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      authentication: { connectionLabel: 'email' },
+    }));
+
+    const { contents } = await createAuthenticationFile('session');
+
+    expect(contents).toEqual(expect.stringContaining("type: 'session',"));
+    expect(contents).toEqual(expect.stringContaining('perform: getSessionKey,'));
+    expect(contents).toEqual(expect.stringContaining("key: 'password',\n        label: 'Password',\n        type: 'password',"));
+    expect(contents).toEqual(expect.stringContaining('throw new z.errors.RefreshAuthError();'));
+    expect(contents).toEqual(expect.stringContaining("connectionLabel: '{{email}}',"));
+
+    const { config } = loadActionFile(contents);
+    const z = mockZ({ data: { login: { token: 'abc123' } } });
+    const bundle = { authData: { email: 'ada@example.com', password: 'secret' } };
+    expect(await config.sessionConfig.perform(z, bundle)).toEqual({ sessionKey: 'abc123' });
+    expect(z.request.mock.calls[0][0].json.variables).toEqual({ email: 'ada@example.com', password: 'secret' });
+  });
+
+  it('should escape the configured OAuth2 URLs and scope', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      authentication: {
+        oauth2: {
+          authorizeUrl: "https://example.com/oauth/authorize?app='zapier'",
+          accessTokenUrl: 'https://example.com/oauth/token\\',
+          scope: "read:contacts 'write'",
+        },
+      },
+    }));
+
+    const { contents } = await createAuthenticationFile('oauth2');
+    const { config } = loadActionFile(contents);
+
+    expect(config.oauth2Config.authorizeUrl.url).toEqual("https://example.com/oauth/authorize?app='zapier'");
+    expect(config.oauth2Config.getAccessToken.url).toEqual('https://example.com/oauth/token\\');
+    expect(config.oauth2Config.refreshAccessToken.url).toEqual('https://example.com/oauth/token\\');
+    expect(config.oauth2Config.scope).toEqual("read:contacts 'write'");
+  });
+
+  it('should require the OAuth2 URLs to be configured', async () => {
+    await expect(createAuthenticationFile('oauth2')).rejects.toThrow('authorizeUrl and accessTokenUrl');
+  });
+
+  it('should throw for an unknown authentication type', async () => {
+    await expect(createAuthenticationFile('digest')).rejects.toThrow('not "digest"');
+  });
+});
+
+describe('request headers', () => {
+  afterEach(() => {
+    setSchemaRefresh(false);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should resolve the headers for each request at runtime', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      request: { ...sampleConfig.request, headers: { 'Authorization': 'Bearer {{bundle.authData.token}}' } },
+    }));
+    const z = mockZ({ data: { dragons: [] } });
+
+    await executeOperation(z, { authData: { token: 'abc' } }, { document: 'query { dragons { id } }', operation: 'dragons' });
+
+    expect(z.request).toHaveBeenCalledWith(expect.objectContaining({
+      url: process.env.TEST_ENV_VAR,
+      headers: expect.objectContaining({ 'Authorization': 'Bearer abc' }),
+      skipThrowForStatus: true,
+    }));
+  });
+
+  it('should introspect with the introspection headers instead of runtime headers', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      request: {
+        ...sampleConfig.request,
+        headers: {
+          'X-Requested-With': 'zapier',
+          'Authorization': 'Bearer {{bundle.authData.token}}',
+          'X-Account': (z, bundle) => bundle.authData.account,
+        },
+        introspectionHeaders: {
+          'Authorization': 'Bearer introspection-token',
+        },
+      },
+    }));
+    setSchemaRefresh(true);
+    fetch.mockClear();
+
+    await pullSchema();
+
+    const { headers } = fetch.mock.calls[0][1];
+    expect(headers).toEqual(expect.objectContaining({
+      'X-Requested-With': 'zapier',
+      'Authorization': 'Bearer introspection-token',
+    }));
+    expect(headers).not.toHaveProperty('X-Account');
+  });
+});
+
+describe('introspection requests', () => {
+  beforeEach(() => {
+    setSchemaRefresh(true);
+    fetch.mockClear();
+  });
+
+  afterEach(() => {
+    setSchemaRefresh(false);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should verify certificates and request through the configured proxy', async () => {
+    await pullSchema();
+
+    const { dispatcher, signal } = fetch.mock.calls[0][1];
+    expect(dispatcher).toBeInstanceOf(Agent);
+    expect(signal).toBeInstanceOf(AbortSignal);
+
+    setConfig(new Config({
+      ...sampleConfig,
+      request: { ...sampleConfig.request, proxy: 'http://proxy.example.com:8080' },
+    }));
+    await pullSchema();
+
+    expect(fetch.mock.calls[1][1].dispatcher).toBeInstanceOf(ProxyAgent);
+  });
+
+  it('should throw for a missing TLS file', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      request: { ...sampleConfig.request, tls: { ca: 'missing-ca.pem' } },
+    }));
+
+    await expect(pullSchema()).rejects.toThrow('The "request.tls.ca" file "missing-ca.pem" does not exist');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should tell timeouts, TLS, HTTP status and non-JSON failures apart', async () => {
+    fetch.mockRejectedValueOnce(new DOMException('The operation was aborted due to timeout', 'TimeoutError'));
+    await expect(pullSchema()).rejects.toThrow('timed out after 30000ms');
+
+    fetch.mockRejectedValueOnce(new TypeError('fetch failed', {
+      cause: Object.assign(new Error('self-signed certificate'), { code: 'DEPTH_ZERO_SELF_SIGNED_CERT' }),
+    }));
+    await expect(pullSchema()).rejects.toThrow('TLS error requesting https://spacex-production.up.railway.app: self-signed certificate');
+
+    fetch.mockResolvedValueOnce({ status: 502, statusText: 'Bad Gateway', text: async () => 'Upstream unavailable' });
+    await expect(pullSchema()).rejects.toThrow('[HTTP 502: Bad Gateway] Upstream unavailable');
+
+    fetch.mockResolvedValueOnce({
+      status: 200,
+      headers: new Map([['content-type', 'text/html']]),
+      json: async () => JSON.parse('<html>'),
+    });
+    await expect(pullSchema()).rejects.toThrow('Expected a JSON response from https://spacex-production.up.railway.app, not "text/html" content');
+  });
+});
+
+describe('errors', () => {
+  afterEach(() => {
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should throw the GraphQL errors of each response', async () => {
+    const z = mockZ({ data: { dragon: null }, errors: [{ message: 'Not found' }] });
+
+    await expect(executeOperation(z, {}, { document: 'query { dragon { id } }', operation: 'dragon' }))
+      .rejects.toThrow(errors.Error);
+  });
+
+  it('should select the user errors of mutation payloads', async () => {
+    setSchemaSource(contactsSchemaFile);
+
+    const { contents } = await createActionFile('create', 'updateContact');
+
+    const gql = contents.match(/document: `([^`]+)`/)[1];
+    expect(gql).toEqual(expect.stringContaining('userErrors {\n          message\n          field\n        }'));
+    expect(() => parse(gql)).not.toThrow();
+  });
+
+  it('should leave the user errors out of the result of a successful mutation', async () => {
+    setSchemaSource(contactsSchemaFile);
+
+    const { contents } = await createActionFile('create', 'updateContact');
+    const { noun, display, operation } = loadActionFile(contents);
+    const contact = { id: '7', name: 'Ada', email: null, status: 'ACTIVE', createdAt: '2024-01-01T00:00:00Z' };
+    const z = mockZ({ data: { updateContact: { contact, userErrors: [] } } });
+
+    // The payload's only object is the result, as the generated test runs it
+    const result = await operation.perform(z, { inputData: { id: '7', name: 'Ada' } });
+    expect(result).toEqual(contact);
+    expect(Object.keys(result)).toEqual(Object.keys(operation.sample));
+    assertTypesFromSample(operation.sample, result);
+    expect(operation.outputFields.map(field => field.key)).toEqual(['id', 'name', 'email', 'status', 'createdAt']);
+    expect(noun).toEqual('Contact');
+    expect(display.label).toEqual('Create Contact');
+    expect(contents).toEqual(expect.stringContaining("description: 'Performs the Update Contact mutation',"));
+  });
+
+  it('should output a payload of several objects as is, with an empty sample', async () => {
+    const schemaFile = path.resolve(process.cwd(), 'merge-schema.graphql');
+    mockEntryFile({ triggers: {}, searches: {}, creates: {} }, {
+      [schemaFile]: [
+        'type Query { contact: Contact }',
+        'type Contact { id: ID! }',
+        'type Company { id: ID! }',
+        'type MergePayload { contact: Contact, company: Company }',
+        'type Mutation { merge(id: ID!): MergePayload! }',
+      ].join('\n'),
+    });
+    setSchemaSource(schemaFile);
+
+    const { contents } = await createActionFile('create', 'merge');
+
+    expect(contents).toEqual(expect.stringContaining("noun: 'MergePayload',"));
+    expect(contents).toEqual(expect.stringContaining('sample: {},'));
+    expect(contents).not.toEqual(expect.stringContaining('resultPath'));
+  });
+});
+
+describe('sample values', () => {
+  beforeEach(() => {
+    setSchemaSource(contactsSchemaFile);
+  });
+
+  afterEach(() => {
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should generate realistic and deterministic sample values', async () => {
+    const { contents } = await createActionFile('trigger', 'contacts');
+
+    const [, firstName, lastName] = contents.match(/name: "(\w+) (\w+)",/);
+    expect(contents).toEqual(expect.stringContaining(`email: "${firstName.toLowerCase()}.${lastName.toLowerCase()}@example.com",`));
+    expect(contents).toMatch(/createdAt: "2024-\d\d-\d\dT\d\d:\d\d:00\.000Z"/);
+    expect(contents).toMatch(/status: "(ACTIVE|ARCHIVED)",/);
+
+    expect((await createActionFile('trigger', 'contacts')).contents).toEqual(contents);
+  });
+
+  it('should apply the rules and scalar values before generating any', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      sampleFieldValues: {
+        rules: [
+          { match: /^name$/, value: 'Ada Lovelace' },
+          { match: (field, typeDetails) => typeDetails?.typeName === 'ContactStatus', value: field => `${field.key}!` },
+        ],
+        scalars: { Email: 'ada@example.com', DateTime: () => '1843-07-01T00:00:00Z' },
+      },
+    }));
+
+    const { contents } = await createActionFile('trigger', 'contacts');
+
+    expect(contents).toEqual(expect.stringContaining('name: "Ada Lovelace",'));
+    expect(contents).toEqual(expect.stringContaining('status: "status!",'));
+    expect(contents).toEqual(expect.stringContaining('email: "ada@example.com",'));
+    expect(contents).toEqual(expect.stringContaining('createdAt: "1843-07-01T00:00:00Z"'));
+  });
+
+  it('should match every field with a global rule', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      sampleFieldValues: { rules: [{ match: /^(name|email)$/g, value: 'matched' }] },
+    }));
+
+    const { contents } = await createActionFile('trigger', 'contacts');
+
+    expect(contents).toEqual(expect.stringContaining('name: "matched",'));
+    expect(contents).toEqual(expect.stringContaining('email: "matched",'));
+  });
+
+  it('should use placeholders when generating is disabled', async () => {
+    setConfig(new Config({ ...sampleConfig, sampleFieldValues: { generate: false } }));
+
+    const { contents } = await createActionFile('trigger', 'contacts');
+
+    expect(contents).toEqual(expect.stringContaining('name: "Something",'));
+    expect(contents).toEqual(expect.stringContaining('createdAt: new Date().toISOString()'));
+  });
+});
+
+describe('samples', () => {
+  const sampleFile = path.resolve(process.cwd(), 'test/fixtures/triggers/contacts.json');
+  const contactsTrigger = (perform) => ({
+    key: 'contacts',
+    noun: 'Contact',
+    display: { label: 'Contacts', description: 'Finds contacts' },
+    operation: { perform },
+  });
+
+  beforeEach(() => {
+    setSchemaSource(contactsSchemaFile);
+    fs.writeFileSync.mockClear();
+  });
+
+  afterEach(() => {
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should record the first result, with sensitive keys redacted, as the sample', async () => {
+    setConfig(new Config({ ...sampleConfig, samples: { inputData: { contacts: { name: 'Ada' } } } }));
+    const addNote = jest.fn();
+    mockEntryFile({
+      triggers: {
+        contacts: contactsTrigger(async (z, bundle) => [
+          { id: '7', name: bundle.inputData.name, accessToken: 'abc123', account: { apiKey: 'xyz', seats: 3 } },
+          { id: '8', name: 'Grace' },
+        ]),
+      },
+      searches: {},
+      creates: { addNote: { operation: { perform: addNote } } },
+    });
+
+    const results = await recordSamples();
+
+    expect(results).toEqual([{ action: 'trigger', operation: 'contacts', file: sampleFile }]);
+    expect(addNote).not.toHaveBeenCalled();
+
+    const [file, contents] = fs.writeFileSync.mock.calls[0];
+    expect(file).toEqual(sampleFile);
+    expect(JSON.parse(contents)).toEqual({
+      id: '7',
+      name: 'Ada',
+      accessToken: '[redacted]',
+      account: { apiKey: '[redacted]', seats: 3 },
+    });
+    expect(fs.writeFileSync.mock.calls[1][0]).toEqual(path.resolve(process.cwd(), 'triggers/contacts.js'));
+  });
+
+  it('should not record an action without results', async () => {
+    mockEntryFile({ triggers: { contacts: contactsTrigger(async () => []) }, searches: {}, creates: {} });
+
+    expect(await recordSamples('contacts')).toEqual([{ action: 'trigger', operation: 'contacts', file: null }]);
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+  });
+
+  it('should throw for an operation without a configured action', async () => {
+    mockEntryFile({ triggers: {}, searches: {}, creates: {} });
+
+    await expect(recordSamples('contacts')).rejects.toThrow('No trigger, search or create is configured for the "contacts" operation');
+  });
+
+  it('should use the recorded sample instead of creating one', async () => {
+    const sample = { createdAt: '2024-01-01', email: 'ada@example.com', id: '7', name: 'Ada Lovelace', status: 'ACTIVE' };
+    mockEntryFile({}, { [sampleFile]: JSON.stringify(sample) });
+
+    const { contents } = await createActionFile('trigger', 'contacts');
+
+    expect(contents).toEqual(expect.stringContaining('id: "7",\n      name: "Ada Lovelace",'));
+  });
+
+  it('should not use a recorded sample that no longer matches the output fields', async () => {
+    mockEntryFile({}, { [sampleFile]: JSON.stringify({ id: '7', name: 'Ada Lovelace' }) });
+    console.log.mockClear();
+
+    const { contents } = await createActionFile('trigger', 'contacts');
+
+    expect(contents).not.toEqual(expect.stringContaining('Ada Lovelace'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('doesn\'t match the output fields of the "contacts" trigger'));
+  });
+});
+
+describe('executeOperation', () => {
+  afterEach(() => {
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should unwrap connections, store the cursor and map the ids', async () => {
+    const z = mockZ({
+      data: {
+        contactsConnection: {
+          edges: [{ node: { name: 'Ada', address: { city: 'London' } } }],
+          pageInfo: { hasNextPage: true, endCursor: 'abc' },
+        },
+      },
+    });
+
+    const results = await executeOperation(z, {}, {
+      document: 'query { contactsConnection { edges { node { name } } } }',
+      operation: 'contactsConnection',
+      connection: true,
+      cursor: true,
+      idMap: { '': 'name', address: 'city' },
+      list: true,
+    });
+
+    expect(z.cursor.set).toHaveBeenCalledWith('abc');
+    expect(results).toEqual([{ id: 'Ada', name: 'Ada', address: { id: 'London', city: 'London' } }]);
+  });
+
+  it('should return a list of a single or missing result', async () => {
+    const options = { document: 'query { contact { id } }', operation: 'contact', list: true };
+
+    expect(await executeOperation(mockZ({ data: { contact: { id: 1 } } }), {}, options)).toEqual([{ id: 1 }]);
+    expect(await executeOperation(mockZ({ data: { contact: null } }), {}, options)).toEqual([]);
+    expect(await executeOperation(mockZ({ data: { contact: { id: 1 } } }), {}, { ...options, list: false }))
+      .toEqual({ id: 1 });
+  });
+
+  it('should request the configured endpoint', async () => {
+    process.env.BILLING_URL = 'https://billing.example.com/graphql';
+    setConfig(new Config({
+      ...sampleConfig,
+      endpoints: { billing: { request: { urlEnvVar: 'BILLING_URL' } } },
+    }));
+    const z = mockZ({ data: { invoices: [] } });
+
+    await executeOperation(z, {}, { document: 'query { invoices { id } }', operation: 'invoices', endpoint: 'billing' });
+
+    expect(z.request).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://billing.example.com/graphql' }));
+    await expect(executeOperation(z, {}, { document: '', operation: 'invoices', endpoint: 'shipping' }))
+      .rejects.toThrow('Endpoint "shipping" is not configured');
+  });
+
+  it('should throw for a response that is not a GraphQL response', async () => {
+    const z = mockZ(undefined);
+    z.request.mockResolvedValue({
+      status: 200,
+      data: undefined,
+      content: '<html>Sign in</html>',
+      headers: new Headers({ 'content-type': 'text/html' }),
+      throwForStatus: jest.fn(),
+    });
+
+    await expect(executeOperation(z, {}, { document: 'query { viewer { id } }', operation: 'viewer' }))
+      .rejects.toThrow('Expected a GraphQL response, but received a 200 response with text/html');
+  });
+});
+
+describe('mock server', () => {
+  let mockServer;
+
+  const postQuery = async (query, variables = {}) => {
+    const { statusCode, body } = await request(mockServer.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    return { statusCode, ...await body.json() };
+  }
+
+  beforeEach(() => {
+    setSchemaSource(contactsSchemaFile);
+  });
+
+  afterEach(async () => {
+    await mockServer?.close();
+    mockServer = null;
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should respond with type-correct data built from the samples', async () => {
+    mockServer = await startMockServer();
+
+    expect(process.env.TEST_ENV_VAR).toEqual(mockServer.url);
+
+    const { data, errors } = await postQuery(`query($name: String) {
+      contacts(name: $name) { id name email status createdAt address { city } }
+      contactsConnection { edges { node { id } } pageInfo { hasNextPage endCursor } totalCount }
+    }`, { name: 'Ada' });
+
+    expect(errors).toBeUndefined();
+    expect(data.contacts).toEqual([{
+      id: '1',
+      name: expect.any(String),
+      email: expect.stringMatching(/@example\.com$/),
+      status: expect.stringMatching(/^(ACTIVE|ARCHIVED)$/),
+      createdAt: expect.stringMatching(/^2024-/),
+      address: { city: expect.any(String) },
+    }]);
+    expect(data.contactsConnection.edges).toEqual([{ node: { id: '1' } }]);
+    expect(typeof data.contactsConnection.pageInfo.hasNextPage).toEqual('boolean');
+    expect(typeof data.contactsConnection.totalCount).toEqual('number');
+
+    await mockServer.close();
+    expect(process.env.TEST_ENV_VAR).toEqual('https://spacex-production.up.railway.app');
+  });
+
+  it('should use the fixtures of the operations and the configured sample values', async () => {
+    setConfig(new Config({ ...sampleConfig, sampleFieldValues: { exact: { address__city: 'London' } } }));
+    mockServer = await startMockServer({ fixtures: { contact: { id: '7', name: 'Ada' } } });
+
+    const { data } = await postQuery('query { contact(id: "7") { id name address { city } } }');
+
+    expect(data.contact).toEqual({ id: '7', name: 'Ada', address: { city: 'London' } });
+  });
+
+  it('should read the fixtures of the operations from a directory for each request', async () => {
+    const directory = path.resolve(process.cwd(), 'mocks');
+    const fixtureFile = path.join(directory, 'contacts.json');
+    jest.spyOn(fs, 'readdirSync').mockReturnValue(['contacts.json', 'README.md']);
+    mockEntryFile({}, { [directory]: '', [fixtureFile]: JSON.stringify([{ name: 'Ada' }]) });
+    mockServer = await startMockServer({ fixtures: directory });
+
+    expect((await postQuery('query { contacts { name } }')).data.contacts).toEqual([{ name: 'Ada' }]);
+
+    mockEntryFile({}, { [directory]: '', [fixtureFile]: JSON.stringify([{ name: 'Grace' }, { name: 'Alan' }]) });
+    expect((await postQuery('query { contacts { name } }')).data.contacts).toEqual([{ name: 'Grace' }, { name: 'Alan' }]);
+
+    await expect(startMockServer({ fixtures: path.resolve(process.cwd(), 'missing') }))
+      .rejects.toThrow('The mock fixtures directory');
+  });
+
+  it('should allow browsers to request the server', async () => {
+    mockServer = await startMockServer();
+
+    const { statusCode, headers } = await request(mockServer.url, {
+      method: 'OPTIONS',
+      headers: { 'Access-Control-Request-Headers': 'authorization,content-type' },
+    });
+
+    expect(statusCode).toEqual(204);
+    expect(headers['access-control-allow-origin']).toEqual('*');
+    expect(headers['access-control-allow-headers']).toEqual('authorization,content-type');
+  });
+
+  it('should respond with the errors of invalid operations', async () => {
+    mockServer = await startMockServer();
+
+    const { statusCode, data, errors } = await postQuery('query { unknown }');
+
+    expect(statusCode).toEqual(400);
+    expect(data).toBeUndefined();
+    expect(errors[0].message).toEqual('Cannot query field "unknown" on type "Query".');
+  });
+
+  it('should respond with the data and errors of executed operations', async () => {
+    mockServer = await startMockServer({ fixtures: { contacts: [{ id: '7', name: { first: 'Ada' } }] } });
+
+    // The error of the non-null name is propagated up to the non-null contacts, nulling the data
+    const { statusCode, data, errors } = await postQuery('query { contacts { id name } }');
+
+    expect(statusCode).toEqual(200);
+    expect(data).toBeNull();
+    expect(errors[0].message).toEqual(expect.stringContaining('String cannot represent value'));
+  });
+
+  it('should require a local schema', async () => {
+    setSchemaSource(null);
+    setConfig(new Config({ ...sampleConfig, schemaCache: false }));
+
+    await expect(startMockServer()).rejects.toThrow('The mock server needs a local schema');
+  });
+
+  it('should start the mock server in the generated tests by the test mode they run in', async () => {
+    const action = loadActionFile((await createActionFile('trigger', 'contacts')).contents);
+    const { contents } = await createTestFile('trigger', 'contacts');
+
+    expect(contents).toEqual(expect.stringContaining("const { getConfig, startTestMode } = require('zapier-graphql');"));
+    expect(contents).toEqual(expect.stringContaining("testMode = await startTestMode('trigger', 'contacts');"));
+    expect(contents).toEqual(expect.stringContaining('afterAll(() => testMode.stop());'));
+    expect(contents).toEqual(expect.stringContaining('assertTypesFromSample(sample, firstResult);'));
+
+    // The test is generated with the "live" test mode, which the environment variable overrides
+    process.env.ZAPIER_GRAPHQL_TEST_MODE = 'mock';
+    try {
+      await runTestFile(contents, { version: '1.0.0', platformVersion: '15.3.0', triggers: { contacts: action } });
+    } finally {
+      delete process.env.ZAPIER_GRAPHQL_TEST_MODE;
+    }
+  });
+
+  it('should run the generated test of a cursor-paginated trigger', async () => {
+    setConfig(new Config({ ...sampleConfig, testMode: 'mock' }));
+
+    const action = loadActionFile((await createActionFile('trigger', 'contactsConnection')).contents);
+    const { contents } = await createTestFile('trigger', 'contactsConnection');
+
+    expect(contents).toEqual(expect.stringContaining('cursor: { get: async () => null, set: async () => null }'));
+    await runTestFile(contents, { version: '1.0.0', platformVersion: '15.3.0', triggers: { contactsConnection: action } });
+  });
+
+  it('should run the generated test of a mutation with a required input object', async () => {
+    setConfig(new Config({ ...sampleConfig, testMode: 'mock' }));
+
+    const action = loadActionFile((await createActionFile('create', 'updateContact')).contents);
+    const { contents } = await createTestFile('create', 'updateContact');
+
+    expect(contents).toEqual(expect.stringContaining('"name": "Jane Miller",'));
+    await runTestFile(contents, { version: '1.0.0', platformVersion: '15.3.0', creates: { updateContact: action } });
+  });
+});
+
+describe('HTTP fixtures', () => {
+  const fixtureFile = path.resolve(process.cwd(), 'test/fixtures/http/triggers/contacts.json');
+  const options = {
+    document: 'query contacts($name: String) { contacts(name: $name) { name accessToken } }',
+    variables: { name: 'Ada' },
+    operation: 'contacts',
+    list: true,
+  };
+  const recording = {
+    action: 'trigger',
+    operation: 'contacts',
+    interactions: [{
+      request: { document: options.document, variables: { name: 'Ada' } },
+      response: {
+        status: 200,
+        headers: {},
+        data: { data: { contacts: [{ name: 'Ada', accessToken: '[redacted]' }] } },
+      },
+    }],
+  };
+
+  beforeEach(() => {
+    fs.writeFileSync.mockClear();
+  });
+
+  afterEach(() => {
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should record the requests and responses, with sensitive keys redacted', async () => {
+    const httpFixtures = startHttpFixtures('trigger', 'contacts', { mode: 'record' });
+    const z = mockZ({ data: { contacts: [{ name: 'Ada', accessToken: 'abc123' }] } });
+
+    expect(await executeOperation(z, {}, options)).toEqual([{ name: 'Ada', accessToken: 'abc123' }]);
+    httpFixtures.stop();
+
+    expect(z.request).toHaveBeenCalled();
+    const [file, contents] = fs.writeFileSync.mock.calls[0];
+    expect(file).toEqual(fixtureFile);
+    expect(JSON.parse(contents)).toEqual(recording);
+  });
+
+  it('should replay the responses without requesting the API', async () => {
+    mockEntryFile({}, { [fixtureFile]: JSON.stringify(recording) });
+    const httpFixtures = startHttpFixtures('trigger', 'contacts', { mode: 'replay' });
+    const z = mockZ({});
+
+    try {
+      // The document's formatting can change
+      const document = options.document.replace('{ contacts', '{\n  contacts');
+      expect(await executeOperation(z, {}, { ...options, document })).toEqual([{ name: 'Ada', accessToken: '[redacted]' }]);
+      await expect(executeOperation(z, {}, options)).rejects.toThrow('No response recorded for request 2');
+    } finally {
+      httpFixtures.stop();
+    }
+
+    expect(z.request).not.toHaveBeenCalled();
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+  });
+
+  it('should fail when the document or variables change', async () => {
+    mockEntryFile({}, { [fixtureFile]: JSON.stringify(recording) });
+    const z = mockZ({});
+
+    let httpFixtures = startHttpFixtures('trigger', 'contacts', { mode: 'replay' });
+    await expect(executeOperation(z, {}, { ...options, document: options.document.replace(' accessToken', '') }))
+      .rejects.toThrow('The GraphQL document of request 1 differs from "test/fixtures/http/triggers/contacts.json"');
+    httpFixtures.stop();
+
+    httpFixtures = startHttpFixtures('trigger', 'contacts', { mode: 'replay' });
+    await expect(executeOperation(z, {}, { ...options, variables: { name: 'Grace' } }))
+      .rejects.toThrow('The GraphQL variables of request 1 differ');
+    httpFixtures.stop();
+
+    expect(() => startHttpFixtures('search', 'contacts', { mode: 'replay' })).toThrow('No HTTP fixtures recorded');
+  });
+
+  it('should keep the fixtures of each endpoint apart', () => {
+    setConfig(new Config({ ...sampleConfig, endpoints: { billing: { request: { urlEnvVar: 'BILLING_URL' } } } }));
+
+    const httpFixtures = startHttpFixtures('trigger', 'contacts', { endpoint: 'billing', mode: 'live' });
+    httpFixtures.stop();
+
+    expect(httpFixtures.file).toEqual(path.resolve(process.cwd(), 'test/fixtures/http/triggers/billing-contacts.json'));
+  });
+
+  it('should record or replay the fixtures in the generated tests', async () => {
+    setSchemaSource(contactsSchemaFile);
+
+    try {
+      const { contents } = await createTestFile('trigger', 'contacts');
+
+      expect(contents).toEqual(expect.stringContaining("testMode = await startTestMode('trigger', 'contacts');"));
+      expect(contents).toEqual(expect.stringContaining('recorded to\n  // test/fixtures/http/triggers/contacts.json'));
+
+      const testMode = await startTestMode('trigger', 'contacts', { mode: 'record' });
+      await testMode.stop();
+      expect(fs.writeFileSync).toHaveBeenCalledWith(fixtureFile, expect.any(String));
+    } finally {
+      setSchemaSource(null);
+    }
+  });
+});
+
+describe('dynamic fields', () => {
+  beforeEach(() => {
+    setSchemaSource(contactsSchemaFile);
+  });
+
+  afterEach(() => {
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should use the configured dynamic fields', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      dynamicFields: {
+        contactId: { trigger: 'contacts', search: 'contact' },
+        companyId: { trigger: 'companyList', label: 'website' },
+      },
+    }));
+
+    const { contents } = await createActionFile('create', 'addNote');
+
+    expect(contents).toEqual(expect.stringContaining("dynamic: 'contacts.id.name',\n        search: 'contact.id',"));
+    expect(contents).toEqual(expect.stringContaining("dynamic: 'companyList.id.website',"));
+  });
+
+  it('should match "<type>Id" input fields to a registered trigger', async () => {
+    mockEntryFile({
+      triggers: { contacts: {}, contactCreatedHook: {} },
+      searches: { contact: {} },
+      creates: {},
+    });
+
+    const { contents } = await createActionFile('create', 'addNote');
+
+    expect(contents).toEqual(expect.stringContaining("dynamic: 'contacts.id.name',\n        search: 'contact.id',"));
+    expect(contents.match(/dynamic: /g)).toHaveLength(1);
+  });
+
+  it('should get the triggers missing for dynamic fields', async () => {
+    mockEntryFile({ triggers: { contacts: {} }, searches: {}, creates: {} });
+
+    expect(await getMissingDynamicTriggers('create', 'addNote')).toEqual([
+      { field: 'companyId', query: 'companies' },
+    ]);
+  });
+
+  it('should skip dynamic fields configured as false', async () => {
+    mockEntryFile({ triggers: { contacts: {}, companies: {} }, searches: {}, creates: {} });
+    setConfig(new Config({ ...sampleConfig, dynamicFields: { companyId: false } }));
+
+    const { contents } = await createActionFile('create', 'addNote');
+
+    expect(contents).toEqual(expect.stringContaining("dynamic: 'contacts.id.name',"));
+    expect(contents).not.toEqual(expect.stringContaining("dynamic: 'companies"));
+  });
+});
+
+describe('operation overrides', () => {
+  beforeEach(() => {
+    setSchemaSource(contactsSchemaFile);
+  });
+
+  afterEach(() => {
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should override the display, key, noun and fields of a query', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      operations: {
+        contacts: {
+          key: 'contactList',
+          noun: 'Person',
+          label: "New Contact's",
+          description: 'Triggers when a contact is added.',
+          fields: {
+            name: { label: 'Full Name', helpText: 'Filter by name.', placeholder: 'Jane', altersDynamicFields: true },
+          },
+          outputFields: {
+            email: { label: 'Email Address', important: true },
+          },
+        },
+      },
+    }));
+
+    const { contents } = await createActionFile('trigger', 'contacts');
+
+    expect(contents).toEqual(expect.stringContaining("key: 'contactList',\n  noun: 'Person',"));
+    expect(contents).toEqual(expect.stringContaining('label: "New Contact\'s",\n    description: \'Triggers when a contact is added.\','));
+    expect(contents).toEqual(expect.stringContaining("label: 'Full Name',"));
+    expect(contents).toEqual(expect.stringContaining("helpText: 'Filter by name.',\n        placeholder: 'Jane',\n        altersDynamicFields: true,"));
+    expect(contents).toEqual(expect.stringContaining("label: 'Email Address',\n        type: 'string',\n        important: true,"));
+  });
+
+  it('should escape the configured descriptions', async () => {
+    const description = 'Finds contacts by `name`, e.g. ${name}\\';
+    setConfig(new Config({
+      ...sampleConfig,
+      operations: {
+        contacts: { description },
+        addNote: { description },
+      },
+    }));
+
+    const { contents: triggerContents } = await createActionFile('trigger', 'contacts');
+    const { contents: createContents } = await createActionFile('create', 'addNote');
+
+    expect(loadActionFile(triggerContents).display.description).toEqual(description);
+    expect(loadActionFile(createContents).display.description).toEqual(description);
+  });
+
+  it('should only show the configured arguments and hide fields', async () => {
+    setConfig(new Config({
+      ...sampleConfig,
+      operations: {
+        addNote: {
+          arguments: ['contactId', 'body'],
+          fields: { body: { default: 'Added from Zapier', required: false } },
+        },
+        contactsConnection: {
+          arguments: [],
+          fields: {},
+        },
+      },
+    }));
+
+    const { contents } = await createActionFile('create', 'addNote');
+    expect(contents).not.toEqual(expect.stringContaining('companyId'));
+    expect(contents).toEqual(expect.stringContaining("required: false,\n        helpText: 'The `String` scalar"));
+    expect(contents).toEqual(expect.stringContaining("default: 'Added from Zapier',"));
+
+    // Pagination arguments are still sent
+    const { contents: connectionContents } = await createActionFile('trigger', 'contactsConnection');
+    const gql = connectionContents.match(/document: `([^`]+)`/)[1];
+    expect(gql).toEqual(expect.stringContaining('contactsConnection(first: $first, after: $after) {'));
+    expect(connectionContents).toEqual(expect.stringContaining('inputFields: [],'));
+  });
+
+  it('should not hide required arguments and fields', async () => {
+    setConfig(new Config({ ...sampleConfig, operations: { addNote: { arguments: ['body'] } } }));
+    await expect(createActionFile('create', 'addNote')).rejects.toThrow('"contactId" of "addNote" is required');
+
+    setConfig(new Config({ ...sampleConfig, operations: { addNote: { fields: { body: { hidden: true } } } } }));
+    await expect(createActionFile('create', 'addNote')).rejects.toThrow('"body" of "addNote" is required');
+
+    setConfig(new Config({ ...sampleConfig, operations: { addNote: { fields: { missing: { label: 'Missing' } } } } }));
+    await expect(createActionFile('create', 'addNote')).rejects.toThrow('"missing" configured for "addNote" does not exist');
+  });
+});
+
+
+describe('validate', () => {
+  const triggerFile = (name) => path.resolve(process.cwd(), `triggers/${name}.js`);
+
+  it('should report unknown fields with their line in the action file', async () => {
+    const { contents } = await createActionFile('trigger', 'dragon');
+    const invalid = contents.replace(/(\n\s+)id\n/, '$1id$1nickname\n');
+    const line = invalid.split('\n').findIndex(text => text.trim() === 'nickname') + 1;
+    mockEntryFile(
+      { triggers: { dragon: {} }, searches: {}, creates: {} },
+      { [triggerFile('dragon')]: invalid },
+    );
+
+    const problems = await validateConfiguredOperations();
+
+    expect(problems).toEqual([expect.objectContaining({
+      file: triggerFile('dragon'),
+      line,
+      severity: 'error',
+      message: expect.stringContaining('Cannot query field "nickname" on type "Dragon"'),
+    })]);
+  });
+
+  it('should warn about deprecated usages', async () => {
+    const { contents } = await createActionFile('trigger', 'missions');
+    mockEntryFile(
+      { triggers: { missions: {} }, searches: {}, creates: {} },
+      { [triggerFile('missions')]: contents },
+    );
+
+    const problems = await validateConfiguredOperations();
+
+    expect(problems).toEqual([expect.objectContaining({
+      severity: 'warning',
+      message: expect.stringContaining('Query.missions is deprecated'),
+    })]);
+  });
+
+  it('should ask to regenerate the interpolated documents of earlier versions', async () => {
+    mockEntryFile(
+      { triggers: { dragon: {} }, searches: {}, creates: {} },
+      {
+        [triggerFile('dragon')]: [
+          'const perform = async (z, bundle) => {',
+          '  const inputData = bundle.inputData;',
+          '  const response = await z.request({',
+          '    json: {',
+          '      query: `query {',
+          '  dragon(',
+          '    id: ${quote(inputData.id)}',
+          '  ) {',
+          '    id',
+          '  }',
+          '}`,',
+          '    }',
+          '  });',
+          '};',
+        ].join('\n'),
+      },
+    );
+
+    const problems = await validateConfiguredOperations();
+
+    expect(problems).toEqual([{
+      file: triggerFile('dragon'),
+      line: 5,
+      column: 15,
+      severity: 'warning',
+      message: 'The GraphQL document interpolates its input, so it can\'t be validated, regenerate it with "update trigger dragon"',
+    }]);
+  });
+
+  it('should report missing action files', async () => {
+    mockEntryFile({ triggers: { dragonsMissing: {} }, searches: {}, creates: {} });
+
+    const problems = await validateConfiguredOperations();
+
+    expect(problems).toEqual([expect.objectContaining({
+      file: triggerFile('dragons-missing'),
+      severity: 'error',
+    })]);
+  });
+});
+
+
+describe('diff', () => {
+  const newSchemaFile = path.resolve(process.cwd(), 'new-schema.graphql');
+  const newSchema = fs.readFileSync(contactsSchemaFile, 'utf8')
+    .replace('contacts(name: String)', 'contacts(name: String, tag: String!)')
+    .replace('companyId: ID\n    body: String!', 'companyId: ID!\n    body: String')
+    .replace('type Note {\n  id: ID!\n  body: String!', 'type Note {\n  id: ID!\n  text: String!');
+
+  afterEach(() => {
+    setSchemaSource(null);
+  });
+
+  it('should classify the changes to the Zapier fields of the configured actions', async () => {
+    setSchemaSource(contactsSchemaFile);
+    mockEntryFile(
+      { triggers: { contacts: {}, contactCreatedHook: { operation: { type: 'hook' } } }, searches: {}, creates: { addNote: {} } },
+      { [newSchemaFile]: newSchema },
+    );
+
+    const changes = await diffConfiguredOperations(contactsSchemaFile, newSchemaFile);
+
+    expect(changes).toEqual([
+      { action: 'trigger', operation: 'contacts', breaking: true, message: 'Required input field "tag" added' },
+      { action: 'create', operation: 'addNote', breaking: true, message: 'Input field "companyId" is now required' },
+      { action: 'create', operation: 'addNote', breaking: false, message: 'Input field "body" is now optional' },
+      { action: 'create', operation: 'addNote', breaking: false, message: 'Output field "text" added' },
+      { action: 'create', operation: 'addNote', breaking: true, message: 'Output field "body" removed' },
+    ]);
+  });
+
+  it('should report removed operations as breaking', async () => {
+    mockEntryFile(
+      { triggers: { contacts: {}, contactCreatedHook: { operation: { type: 'hook' } } }, searches: {}, creates: { addNote: {} } },
+      { [newSchemaFile]: newSchema.replace(/extend type Mutation {\n  addNote\([\s\S]*?\): Note!\n}/, '') },
+    );
+
+    const changes = await diffConfiguredOperations(contactsSchemaFile, newSchemaFile);
+
+    expect(changes).toEqual(expect.arrayContaining([
+      { action: 'create', operation: 'addNote', breaking: true, message: 'Operation removed' },
+    ]));
+  });
+
+  it('should compare the output fields of creates as they are generated, without the user errors', async () => {
+    setSchemaSource(contactsSchemaFile);
+    setConfig(new Config({ ...sampleConfig, outputDepth: 1 }));
+    mockEntryFile(
+      { triggers: {}, searches: {}, creates: { updateContact: {} } },
+      { [newSchemaFile]: newSchema.replace('type UserError {\n  message: String!', 'type UserError {\n  text: String!') },
+    );
+
+    try {
+      const changes = await diffConfiguredOperations(contactsSchemaFile, newSchemaFile);
+
+      expect(changes).toEqual([]);
+    } finally {
+      setConfig(new Config(sampleConfig));
+    }
+  });
+});
+
+
+describe('deprecated', () => {
+  beforeEach(() => {
+    setSchemaSource(contactsSchemaFile);
+  });
+
+  afterEach(() => {
+    setSchemaSource(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should mark deprecated arguments, enum values and fields in their help text', async () => {
+    setConfig(new Config({ ...sampleConfig, deprecated: 'mark' }));
+
+    const { contents } = await createActionFile('create', 'addNote');
+
+    expect(contents).toEqual(expect.stringContaining("helpText: 'Deprecated: Notes can no longer be pinned\\n\\nThe `Boolean` scalar"));
+    expect(contents).toEqual(expect.stringContaining("helpText: 'Deprecated values: TEAM (Use PRIVATE)',"));
+    expect(contents).toEqual(expect.stringContaining("key: 'title',\n        label: 'Title',\n        type: 'string',\n        helpText: 'Deprecated: Use body',"));
+  });
+
+  it('should exclude deprecated arguments, enum values and fields', async () => {
+    setConfig(new Config({ ...sampleConfig, deprecated: 'exclude' }));
+
+    const { contents } = await createActionFile('create', 'addNote');
+
+    expect(contents).not.toEqual(expect.stringContaining('pinned'));
+    expect(contents).not.toEqual(expect.stringContaining('title'));
+    expect(contents).not.toEqual(expect.stringContaining('TEAM'));
+    expect(contents).toEqual(expect.stringContaining("'PRIVATE',"));
+  });
+
+  it('should include deprecated members as they are, by default', async () => {
+    const { deprecated, ...defaultConfig } = sampleConfig;
+    setConfig(new Config(defaultConfig));
+
+    const { contents } = await createActionFile('create', 'addNote');
+
+    expect(contents).toEqual(expect.stringContaining('pinned: inputData.pinned,'));
+    expect(contents).not.toEqual(expect.stringContaining('Deprecated'));
+  });
+
+  it('should introspect deprecated input values', async () => {
+    setSchemaSource(null);
+    fetch.mockClear();
+
+    await pullSchema();
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).query).toEqual(expect.stringContaining('args(includeDeprecated: true)'));
+  });
+
+  it('should list the deprecation reason of operations', async () => {
+    setSchemaSource(null);
+
+    const [operation] = await listOperations('missionsResult');
+
+    expect(operation.deprecationReason).toEqual(expect.any(String));
+  });
+});
+
+
+describe('endpoints', () => {
+  beforeEach(() => {
+    process.env.BILLING_URL = 'https://billing.example.com/graphql';
+    setConfig(new Config({
+      ...sampleConfig,
+      schema: path.resolve(__dirname, '../fixture/space-x-schema.json'),
+      endpoints: {
+        billing: {
+          request: { urlEnvVar: 'BILLING_URL', headers: { 'X-Billing-Key': '{{bundle.authData.billingKey}}' } },
+          schema: contactsSchemaFile,
+        },
+      },
+    }));
+  });
+
+  afterEach(() => {
+    setEndpoint(null);
+    setConfig(new Config(sampleConfig));
+  });
+
+  it('should generate actions targeting the endpoint', async () => {
+    setEndpoint('billing');
+
+    const { file, contents } = await createActionFile('trigger', 'contacts');
+
+    expect(path.relative(process.cwd(), file)).toEqual(path.join('triggers', 'billing-contacts.js'));
+    expect(contents).toEqual(expect.stringContaining(' * contacts query (billing endpoint)'));
+    expect(contents).toEqual(expect.stringContaining("operation: 'contacts',\n    endpoint: 'billing',"));
+    expect(contents).toEqual(expect.stringContaining("key: 'billing__contacts',"));
+  });
+
+  it('should throw for an endpoint that is not configured', () => {
+    expect(() => setEndpoint('shipping')).toThrow('Endpoint "shipping" is not configured');
+  });
+
+  it('should only list the operations registered for the endpoint', async () => {
+    mockEntryFile({ triggers: { contacts: {} }, searches: {}, creates: {} });
+    setEndpoint('billing');
+
+    expect((await listOperations('contacts'))[0].registered).toEqual([]);
+
+    mockEntryFile({ triggers: { billing__contacts: {} }, searches: {}, creates: {} });
+
+    expect((await listOperations('contacts'))[0].registered).toEqual(['trigger']);
+  });
+
+  it('should update the actions of every endpoint', async () => {
+    mockEntryFile({ triggers: { dragons: {}, billing__contacts: {} }, searches: {}, creates: {} });
+
+    const results = await updateConfiguredOperations(true);
+
+    expect(results.map(result => path.relative(process.cwd(), result.file))).toEqual([
+      path.join('triggers', 'dragons.js'),
+      path.join('triggers', 'billing-contacts.js'),
+    ]);
+    expect(results[0].contents).not.toEqual(expect.stringContaining('endpoint: '));
+    expect(results[1].contents).toEqual(expect.stringContaining("endpoint: 'billing',"));
+  });
+
+  it('should only update the actions of the current endpoint with a schema source', async () => {
+    mockEntryFile({ triggers: { dragons: {}, billing__contacts: {} }, searches: {}, creates: {} });
+    setSchemaSource(contactsSchemaFile);
+    setEndpoint('billing');
+
+    try {
+      const results = await updateConfiguredOperations(true);
+
+      expect(results.map(result => path.relative(process.cwd(), result.file))).toEqual([
+        path.join('triggers', 'billing-contacts.js'),
+      ]);
+    } finally {
+      setSchemaSource(null);
+    }
+  });
 });
@@ -0,0 +1,166 @@
+'use strict';
+
+const { mapIds, processResult, resolveHeaders, throwGraphQLErrors } = require('../../../lib/utils');
+const errors = require('zapier-platform-core/src/errors');
+
+
+describe('mapIds', () => {
+  it('should map the id of the result and its nested objects', () => {
+    const result = mapIds([{
+      pk: 1,
+      address: { key: 'a' },
+      tags: [{ key: 'b' }, { key: 'c' }],
+    }], { '': 'pk', address: 'key', tags: 'key' });
+
+    expect(result).toEqual([{
+      id: 1,
+      pk: 1,
+      address: { id: 'a', key: 'a' },
+      tags: [{ id: 'b', key: 'b' }, { id: 'c', key: 'c' }],
+    }]);
+  });
+
+  it('should leave null nested objects alone', () => {
+    expect(mapIds({ pk: 1, address: null }, { '': 'pk', address: 'key' }))
+      .toEqual({ id: 1, pk: 1, address: null });
+  });
+
+  it('should map the ids of unions and interfaces by their typename', () => {
+    const result = mapIds([
+      { __typename: 'Contact', id: 1 },
+      { __typename: 'Company', name: 'Acme' },
+    ], { '': { Company: 'name' } });
+
+    expect(result).toEqual([
+      { __typename: 'Contact', id: 1 },
+      { __typename: 'Company', id: 'Acme', name: 'Acme' },
+    ]);
+  });
+});
+
+
+describe('processResult', () => {
+  it('should unwrap connections, store the cursor and map the ids', async () => {
+    const z = { cursor: { set: jest.fn() } };
+    const result = {
+      edges: [{ node: { pk: 1 } }],
+      pageInfo: { hasNextPage: true, endCursor: 'abc' },
+    };
+
+    expect(await processResult(z, result, { connection: true, cursor: true, idMap: { '': 'pk' } }))
+      .toEqual([{ id: 1, pk: 1 }]);
+    expect(z.cursor.set).toHaveBeenCalledWith('abc');
+  });
+
+  it('should not store a cursor without both hasNextPage and endCursor', async () => {
+    const z = { cursor: { set: jest.fn() } };
+
+    await processResult(z, { edges: [], pageInfo: { hasNextPage: false, endCursor: 'abc' } }, { connection: true, cursor: true });
+    await processResult(z, { edges: [], pageInfo: { hasNextPage: true } }, { connection: true, cursor: true });
+    await processResult(z, { edges: [] }, { connection: true, cursor: true });
+
+    expect(z.cursor.set).not.toHaveBeenCalled();
+  });
+
+  it('should clear the cursor of an earlier page on the last page', async () => {
+    const z = { cursor: { set: jest.fn() } };
+
+    await processResult(z, { edges: [], pageInfo: { hasNextPage: false } }, { connection: true, cursor: true, page: 1 });
+
+    expect(z.cursor.set).toHaveBeenCalledWith(null);
+  });
+
+  it('should leave the result alone without options', async () => {
+    expect(await processResult({}, [{ pk: 1 }])).toEqual([{ pk: 1 }]);
+    expect(await processResult({}, null, { list: true })).toEqual([]);
+  });
+});
+
+
+describe('resolveHeaders', () => {
+  const bundle = {
+    authData: { token: 'abc', account: 42 },
+    inputData: { locale: 'en' },
+  };
+
+  it('should resolve bundle placeholders in header values', async () => {
+    const headers = await resolveHeaders({
+      'Accept': 'application/json',
+      'Authorization': 'Bearer {{bundle.authData.token}}',
+      'Accept-Language': '{{ bundle.inputData.locale }}',
+    }, {}, bundle);
+
+    expect(headers).toEqual({
+      'Accept': 'application/json',
+      'Authorization': 'Bearer abc',
+      'Accept-Language': 'en',
+    });
+  });
+
+  it('should throw for placeholders missing from the bundle', async () => {
+    await expect(resolveHeaders({ 'X-Missing': 'Token {{bundle.authData.missing}}' }, {}, bundle))
+      .rejects.toThrow('Unable to resolve the "X-Missing" header, "bundle.authData.missing" is missing');
+  });
+
+  it('should call header functions with z and the bundle', async () => {
+    const z = {};
+    const headers = await resolveHeaders({
+      'X-Account': (_z, _bundle) => _z === z && `${_bundle.authData.account}`,
+      'X-Token': async (_z, _bundle) => _bundle.authData.token,
+      'X-Optional': () => undefined,
+    }, z, bundle);
+
+    expect(headers).toEqual({ 'X-Account': '42', 'X-Token': 'abc' });
+  });
+});
+
+
+describe('throwGraphQLErrors', () => {
+  const z = { errors };
+  const config = {
+    codes: { UNAUTHENTICATED: 'ExpiredAuthError', RATE_LIMITED: 'ThrottledError' },
+    userErrors: ['userErrors'],
+  };
+
+  const response = (data, status = 200) => ({
+    status,
+    data,
+    headers: new Map([['retry-after', '30']]),
+    throwForStatus: jest.fn(),
+  });
+
+  it('should map the error codes to Zapier errors', () => {
+    expect(() => throwGraphQLErrors(z, response({
+      errors: [{ message: 'Token expired', extensions: { code: 'UNAUTHENTICATED' } }],
+    }, 401), config)).toThrow(errors.ExpiredAuthError);
+
+    expect(() => throwGraphQLErrors(z, response({
+      errors: [{ message: 'Slow down', extensions: { code: 'RATE_LIMITED' } }],
+    }, 429), config)).toThrow('{"message":"Slow down","delay":30}');
+  });
+
+  it('should throw unmapped errors with their code', () => {
+    expect(() => throwGraphQLErrors(z, response({
+      data: { contact: null },
+      errors: [{ message: 'Not found', extensions: { code: 'NOT_FOUND' } }, { message: 'Other' }],
+    }), config)).toThrow('{"message":"Not found\\nOther","code":"NOT_FOUND","status":200}');
+  });
+
+  it('should throw the user errors of mutation payloads', () => {
+    expect(() => throwGraphQLErrors(z, response({
+      data: { updateContact: { contact: null, userErrors: [{ message: 'Name is required' }] } },
+    }), config)).toThrow('{"message":"Name is required","code":"UserError","status":200}');
+
+    expect(() => throwGraphQLErrors(z, response({
+      data: { updateContact: { contact: { id: 1 }, userErrors: [] } },
+    }), config)).not.toThrow();
+  });
+
+  it('should throw for the status without GraphQL errors', () => {
+    const errorResponse = response('Bad Gateway', 502);
+
+    throwGraphQLErrors(z, errorResponse, config);
+
+    expect(errorResponse.throwForStatus).toHaveBeenCalled();
+  });
+});